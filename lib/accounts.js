@@ -0,0 +1,121 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const LOGIN_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex");
+}
+
+export function normalizeEmail(email) {
+  const e = String(email || "").trim().toLowerCase();
+  if (e.length > 254) return "";
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e) ? e : "";
+}
+
+export function loadSessionSecret(env, dataDir) {
+  if (env.SESSION_SECRET?.trim()) return env.SESSION_SECRET.trim();
+  const file = path.join(dataDir, ".session_secret");
+  try {
+    const existing = fs.readFileSync(file, "utf8").trim();
+    if (existing) return existing;
+  } catch {}
+  const secret = crypto.randomBytes(32).toString("hex");
+  try {
+    fs.writeFileSync(file, secret, { mode: 0o600 });
+  } catch {}
+  return secret;
+}
+
+// Session tokens carry the account's session generation. Signing out bumps it,
+// which ends every session the account has; erasing the account drops the
+// record, so its tokens can never match again.
+export function createAccounts({ storage, secret, sessionMaxAgeMs = 30 * 24 * 60 * 60 * 1000 }) {
+  function sign(payload) {
+    return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+  }
+
+  const sessionId = (accountId) => `session:${accountId}`;
+
+  return {
+    sessionMaxAgeMs,
+
+    createSessionToken(accountId) {
+      let rec = storage.load(sessionId(accountId));
+      if (!rec?.generation) {
+        rec = { generation: 1 };
+        storage.save(sessionId(accountId), rec);
+      }
+      const payload = `${accountId}.${Date.now()}.${rec.generation}`;
+      return `${payload}.${sign(payload)}`;
+    },
+
+    verifySessionToken(token) {
+      const parts = String(token || "").split(".");
+      if (parts.length !== 4) return null;
+      const [accountId, issuedAt, generation] = parts;
+      const expected = Buffer.from(sign(parts.slice(0, 3).join(".")));
+      const given = Buffer.from(parts[3]);
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+      if (!/^[a-f0-9]{32}$/.test(accountId)) return null;
+      if (!(Date.now() - Number(issuedAt) < sessionMaxAgeMs)) return null;
+      const rec = storage.load(sessionId(accountId));
+      return rec?.generation && String(rec.generation) === generation ? accountId : null;
+    },
+
+    revokeSessions(accountId) {
+      const rec = storage.load(sessionId(accountId));
+      if (rec?.generation) storage.save(sessionId(accountId), { generation: rec.generation + 1 });
+    },
+
+    removeSessions(accountId) {
+      return storage.remove(sessionId(accountId));
+    },
+
+    createLoginToken(email) {
+      const token = crypto.randomBytes(32).toString("base64url");
+      storage.save(`login:${sha256(token)}`, { email, expiresAt: Date.now() + LOGIN_TOKEN_TTL_MS });
+      return token;
+    },
+
+    // Looks a token up without using it, for the page that asks to confirm.
+    findLoginToken(token) {
+      const rec = storage.load(`login:${sha256(token)}`);
+      return rec?.expiresAt && Date.now() <= rec.expiresAt ? rec : null;
+    },
+
+    consumeLoginToken(token) {
+      const id = `login:${sha256(token)}`;
+      const rec = storage.load(id);
+      if (!rec) return null;
+      storage.remove(id);
+      if (!rec.expiresAt || Date.now() > rec.expiresAt) return null;
+      return rec;
+    },
+
+    // Links nobody opened would otherwise stay in storage for good.
+    purgeLoginTokens() {
+      let purged = 0;
+      for (const id of storage.listIds()) {
+        if (!id.startsWith("login:")) continue;
+        const rec = storage.load(id);
+        if (!rec?.expiresAt || Date.now() > rec.expiresAt) purged += storage.remove(id) ? 1 : 0;
+      }
+      return purged;
+    },
+
+    findOrCreateAccount(email) {
+      const id = `email:${sha256(email)}`;
+      const rec = storage.load(id);
+      if (rec?.accountId) return { accountId: rec.accountId, created: false };
+      const accountId = crypto.randomBytes(16).toString("hex");
+      storage.save(id, { accountId, email, createdAt: Date.now() });
+      return { accountId, created: true };
+    },
+
+    removeEmail(email) {
+      return storage.remove(`email:${sha256(email)}`);
+    },
+  };
+}
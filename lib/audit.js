@@ -0,0 +1,32 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export function auditSubject(userId) {
+  return crypto.createHash("sha256").update(String(userId)).digest("hex").slice(0, 24);
+}
+
+export function createAuditLog({ file }) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  } catch {}
+
+  return {
+    file,
+
+    record(action, userId, details = {}) {
+      const entry = {
+        at: new Date().toISOString(),
+        action,
+        subject: auditSubject(userId),
+        ...details,
+      };
+      try {
+        fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+      } catch (err) {
+        console.error("AUDIT WRITE FAILED:", err?.message || err);
+      }
+      return entry;
+    },
+  };
+}
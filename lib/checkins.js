@@ -0,0 +1,191 @@
+import crypto from "crypto";
+import fs from "fs";
+import { addDays } from "./dayKey.js";
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Scheduled check-ins wait for their day; "notified" ones were pushed through
+// the channel and still become the greeting on the next visit.
+const PENDING = new Set(["scheduled", "notified"]);
+
+export function isPending(item) {
+  return PENDING.has(item?.status);
+}
+
+// "22:00-08:00" -> { start, end } in minutes after midnight; "off" -> null.
+export function parseQuietHours(spec) {
+  const m = String(spec ?? "").trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const [h1, m1, h2, m2] = m.slice(1).map(Number);
+  if (h1 > 23 || h2 > 23 || m1 > 59 || m2 > 59) return null;
+  return { start: h1 * 60 + m1, end: h2 * 60 + m2 };
+}
+
+export function formatQuietHours(quiet) {
+  if (!quiet) return "off";
+  const f = (n) => `${String(Math.floor(n / 60)).padStart(2, "0")}:${String(n % 60).padStart(2, "0")}`;
+  return `${f(quiet.start)}-${f(quiet.end)}`;
+}
+
+// Quiet hours may wrap past midnight.
+export function inQuietHours(minutes, quiet) {
+  if (!quiet || quiet.start === quiet.end) return false;
+  if (quiet.start < quiet.end) return minutes >= quiet.start && minutes < quiet.end;
+  return minutes >= quiet.start || minutes < quiet.end;
+}
+
+// Keeps the proposals that are well formed, fall between tomorrow and
+// `horizonDays` out, and are not about something already pending or followed
+// up recently. Returns the new items; `items` is left untouched.
+export function acceptCheckIns(items, proposals, { todayKey, maxPending = 3, horizonDays = 30, recentDays = 14 }) {
+  const pending = items.filter(isPending);
+  const recent = items.filter((i) => i.dueDay >= addDays(todayKey, -recentDays));
+  const topicKey = (t) => String(t || "").toLowerCase().replace(/\s+/g, " ").trim();
+  const taken = new Set(recent.map((i) => i.memoryKey || topicKey(i.topic)));
+
+  const accepted = [];
+  for (const p of proposals || []) {
+    if (pending.length + accepted.length >= maxPending) break;
+    const topic = String(p?.topic || "").trim().slice(0, 80);
+    const message = String(p?.message || "").replace(/\s+/g, " ").trim().slice(0, 240);
+    const dueDay = String(p?.dueDay || "");
+    if (!topic || !message || !DAY_RE.test(dueDay)) continue;
+    if (dueDay <= todayKey || dueDay > addDays(todayKey, horizonDays)) continue;
+    const key = p.memoryKey || topicKey(topic);
+    if (taken.has(key)) continue;
+    taken.add(key);
+    accepted.push({
+      id: crypto.randomBytes(6).toString("hex"),
+      topic,
+      message,
+      dueDay,
+      ...(p.memoryKey ? { memoryKey: p.memoryKey } : {}),
+      status: "scheduled",
+      createdAt: Date.now(),
+    });
+  }
+  return accepted;
+}
+
+// Oldest due first.
+export function dueCheckIns(items, todayKey) {
+  return items.filter((i) => isPending(i) && i.dueDay <= todayKey).sort((a, b) => (a.dueDay < b.dueDay ? -1 : 1));
+}
+
+// A check-in nobody saw within `expireDays` of its day is stale ("how did the
+// interview go?" a month later); finished items are kept for `keep` entries so
+// the same topic is not planned again straight away.
+export function expireCheckIns(items, todayKey, { expireDays = 7, keep = 30 } = {}) {
+  for (const item of items) {
+    if (isPending(item) && item.dueDay < addDays(todayKey, -expireDays)) item.status = "expired";
+  }
+  const done = items.filter((i) => !isPending(i));
+  const drop = new Set(done.slice(0, Math.max(0, done.length - keep)));
+  return items.filter((i) => !drop.has(i));
+}
+
+// The earliest day each user has a check-in waiting to be pushed, so the sweep
+// only loads those users. Kept in one JSON file that is rewritten only when an
+// entry changes; `exists` is false until the file has been written once.
+export function createCheckInIndex({ file }) {
+  let users = {};
+  let exists = false;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    users = parsed?.users && typeof parsed.users === "object" ? parsed.users : {};
+    exists = true;
+  } catch {}
+
+  function persist() {
+    try {
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ users }));
+      fs.renameSync(tmp, file);
+      exists = true;
+    } catch (err) {
+      console.error("CHECK-IN INDEX WRITE FAILED:", err?.message || err);
+    }
+  }
+
+  function set(userId, dueDay) {
+    if ((users[userId] || null) === dueDay) return;
+    if (dueDay) users[userId] = dueDay;
+    else delete users[userId];
+    persist();
+  }
+
+  return {
+    get exists() {
+      return exists;
+    },
+
+    // Only scheduled items the channel can still reach count.
+    update(userId, items) {
+      const days = (items || []).filter((i) => i.status === "scheduled" && !i.unreachable).map((i) => i.dueDay);
+      set(userId, days.length ? days.sort()[0] : null);
+    },
+
+    remove(userId) {
+      set(userId, null);
+    },
+
+    save: persist,
+
+    dueBy(dayKey) {
+      return Object.keys(users).filter((userId) => users[userId] <= dayKey);
+    },
+  };
+}
+
+function createConsoleChannel() {
+  return {
+    name: "console",
+    async send(notice) {
+      console.log(`CHECK-IN for ${notice.userId}: ${notice.text}`);
+    },
+  };
+}
+
+function createWebhookChannel({ url, token }) {
+  return {
+    name: "webhook",
+    async send(notice, { signal } = {}) {
+      const headers = { "Content-Type": "application/json" };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const resp = await fetch(url, { method: "POST", headers, body: JSON.stringify(notice), signal });
+      if (!resp.ok) throw new Error(`check-in webhook failed with HTTP ${resp.status}`);
+    },
+  };
+}
+
+// Only signed-in users have an address; everyone else gets the greeting alone.
+function createEmailChannel({ mailer, publicUrl }) {
+  return {
+    name: "email",
+    async send(notice, { signal } = {}) {
+      if (!notice.email) return false;
+      await mailer.send(
+        {
+          to: notice.email,
+          subject: `${notice.personaName} is thinking of you`,
+          text: `${notice.text}\n\n${publicUrl || ""}`.trim(),
+        },
+        { signal }
+      );
+    },
+  };
+}
+
+// `none` (the default) only delivers check-ins as a greeting on the next
+// visit. A channel's send(notice, { signal }) may return false when it cannot
+// reach the user.
+export function createCheckInChannel(env, { mailer }) {
+  const kind = String(env.CHECKIN_CHANNEL || "none").trim().toLowerCase();
+  if (kind === "console") return createConsoleChannel();
+  if (kind === "webhook" && env.CHECKIN_WEBHOOK_URL) {
+    return createWebhookChannel({ url: env.CHECKIN_WEBHOOK_URL, token: env.CHECKIN_WEBHOOK_TOKEN });
+  }
+  if (kind === "email") return createEmailChannel({ mailer, publicUrl: env.PUBLIC_URL });
+  if (kind !== "none") console.error(`CHECKIN_CHANNEL "${kind}" is not usable, falling back to none`);
+  return { name: "none", send: async () => false };
+}
@@ -0,0 +1,91 @@
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone.trim() || timeZone.length > 64) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "04:00" or "4" -> minutes after local midnight at which a new day starts.
+export function parseDayBoundary(spec) {
+  const m = String(spec ?? "").trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const hours = Number(m[1]);
+  const minutes = Number(m[2] || 0);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+export function formatDayBoundary(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function wallClock(date, timeZone) {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map((p) => [p.type, p.value]));
+  return {
+    y: Number(parts.year),
+    m: Number(parts.month),
+    d: Number(parts.day),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// When clocks go back the same hour is lived twice, so the clock can read
+// earlier than the boundary after the boundary has already passed today. The
+// offset a day earlier is the one from before any such change.
+function passedBeforeClocksWentBack(date, wall, timeZone, boundaryMinutes) {
+  const dayBefore = Math.floor(date.getTime() / 60000) * 60000 - 86400000;
+  const w = wallClock(new Date(dayBefore), timeZone);
+  const offset = Date.UTC(w.y, w.m - 1, w.d, 0, w.minutes) - dayBefore;
+  const start = new Date(Date.UTC(wall.y, wall.m - 1, wall.d, 0, boundaryMinutes) - offset);
+  if (start >= date) return false;
+  const s = wallClock(start, timeZone);
+  return s.d === wall.d && s.minutes === boundaryMinutes;
+}
+
+// The key is the local calendar date, except that the hours before the
+// boundary still belong to the previous day. Comparing wall-clock time rather
+// than shifting the instant keeps DST days (23 or 25 hours long) correct.
+export function dayKeyFor(date, { timeZone, boundaryMinutes = 0 }) {
+  const wall = wallClock(date, timeZone);
+  let { y, m, d } = wall;
+  if (wall.minutes < boundaryMinutes && !passedBeforeClocksWentBack(date, wall, timeZone, boundaryMinutes)) {
+    const prev = new Date(Date.UTC(y, m - 1, d - 1));
+    y = prev.getUTCFullYear();
+    m = prev.getUTCMonth() + 1;
+    d = prev.getUTCDate();
+  }
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// Minutes after local midnight, for quiet-hour checks.
+export function localMinutes(date, timeZone) {
+  return wallClock(date, timeZone).minutes;
+}
+
+export function addDays(dayKey, days) {
+  const [y, m, d] = dayKey.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
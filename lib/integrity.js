@@ -0,0 +1,135 @@
+// Input screening for jailbreak / override attempts and output checks for
+// leaks of the persona's private prompt sections. Everything here is local and cheap.
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Two of the signals name the persona, so the list is built per persona name.
+function inputSignals(personaName) {
+  const name = escapeRegExp(String(personaName || "").trim());
+  // A name may end in a letter \b does not know ("Zoë").
+  const notPersona = name ? `|\\b(?:not|no longer) ${name}(?![\\p{L}\\p{N}])` : "";
+  const personaLore = name ? `|${name} lore` : "";
+  return [
+    [
+      "override",
+      /\b(?:ignore|disregard|forget|bypass|override|drop)\b[^.?!\n]{0,40}\b(?:previous|prior|above|earlier|all|your|the|system|these)\b[^.?!\n]{0,20}\b(?:instructions?|rules|prompts?|guidelines|directives|programming)\b/i,
+    ],
+    [
+      "persona_escape",
+      new RegExp(
+        `\\b(?:you are|you're|act as|pretend (?:to be|you are)|from now on you are)\\b[^.?!\\n]{0,30}(?:\\b(?:dan|jailbroken|unfiltered|unrestricted|uncensored|an? (?:ai|assistant|chatbot|language model)|chatgpt|gpt-?\\d)\\b${notPersona})`,
+        "iu"
+      ),
+    ],
+    ["mode_switch", /\b(?:developer|dev|god|debug|admin|jailbreak|dan|sudo) mode\b/i],
+    // "What are your rules for a good day?" asks for advice, not for the prompt.
+    [
+      "prompt_extraction",
+      /\b(?:reveal|show|print|repeat|output|tell me|what(?:'s| is| are)|give me|paste|dump|list|summari[sz]e)\b[^.?!\n]{0,40}\b(?:system (?:prompt|message)|(?:your|the|hidden|secret|private|initial|original) (?:instructions|prompt|rules|guidance|notes|context|sections?)(?! for\b)|(?:text|words|everything|message) above)\b/i,
+    ],
+    [
+      "private_sections",
+      new RegExp(
+        `\\b(?:user style model|self-?narrative|user memory|conversation so far|(?:\\w+ )?lore (?:sections?|files?)${personaLore}|safety note|memory tags?)\\b`,
+        "i"
+      ),
+    ],
+    [
+      "fake_role",
+      /(?:^|\n)\s*(?:system|assistant|developer)\s*:|<\|(?:im_start|im_end|system|endoftext)\|>|\[\/?INST\]|<<\/?SYS>>|###\s*(?:system|instruction)/i,
+    ],
+  ];
+}
+
+const signalsByName = new Map();
+
+// Chat-template markers a user has no reason to type; they are blanked out
+// before the message reaches the model.
+const ROLE_MARKERS = /<\|(?:im_start|im_end|system|endoftext)\|>|\[\/?INST\]|<<\/?SYS>>/gi;
+
+export function screenInput(text, { personaName = "" } = {}) {
+  if (!signalsByName.has(personaName)) signalsByName.set(personaName, inputSignals(personaName));
+  const t = String(text || "");
+  const signals = signalsByName.get(personaName).filter(([, re]) => re.test(t)).map(([name]) => name);
+  const attack = signals.some((s) => s !== "private_sections");
+  return { flagged: signals.length > 0, attack, signals };
+}
+
+export function neutralizeInput(text) {
+  return String(text || "")
+    .replace(ROLE_MARKERS, " ")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+}
+
+// Section titles start with the persona's name in capitals ("ZARA LORE").
+const PRIVATE_HEADERS =
+  /\b(?:USER STYLE MODEL|[A-Z][A-Z'-]* SELF-NARRATIVE|USER MEMORY(?: \(most relevant\))?|CONVERSATION SO FAR|SAFETY NOTE|[A-Z][A-Z'-]* LORE(?: \(relevant now\))?|EARLIER IN THIS CONVERSATION)\b|\((?:private|private summary of earlier turns)\)/g;
+const MEMORY_TAGS = /\[(?:sure|likely|maybe)\]|\{[a-z]+:[1-3]\}|(?:^|\s)-\s*\((?:people|goals|habits|preferences|values|identity|other)\)\s*/gi;
+const LORE_TAGS = /\[\d{2}_[a-z0-9_-]+\.txt\]/gi;
+
+const SHINGLE_WORDS = 8;
+
+function words(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s']/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function shingles(text) {
+  const w = words(text);
+  const out = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= w.length; i++) out.add(w.slice(i, i + SHINGLE_WORDS).join(" "));
+  return out;
+}
+
+// `fragments` are private texts (system prompt, style model, self-narrative)
+// whose 8-word runs must not show up verbatim in a reply.
+export function createLeakDetector(fragments = []) {
+  const privateRuns = new Set();
+  for (const f of fragments) for (const s of shingles(f)) privateRuns.add(s);
+
+  function sentenceLeaks(sentence) {
+    const found = [];
+    if (sentence.match(PRIVATE_HEADERS)) found.push("header");
+    if (sentence.match(MEMORY_TAGS)) found.push("memory_tag");
+    if (sentence.match(LORE_TAGS)) found.push("lore_tag");
+    for (const s of shingles(sentence)) {
+      if (privateRuns.has(s)) {
+        found.push("prompt_fragment");
+        break;
+      }
+    }
+    return found;
+  }
+
+  return {
+    detect(reply) {
+      const types = new Set();
+      for (const sentence of String(reply || "").split(/(?<=[.!?])\s+|\n+/)) {
+        for (const t of sentenceLeaks(sentence)) types.add(t);
+      }
+      return [...types];
+    },
+
+    // Tags are cut out in place; a sentence carrying a header or a prompt
+    // fragment is dropped whole.
+    redact(reply) {
+      const kept = [];
+      for (const line of String(reply || "").split("\n")) {
+        const sentences = line
+          .split(/(?<=[.!?])\s+/)
+          .filter((s) => {
+            const leaks = sentenceLeaks(s);
+            return !leaks.includes("header") && !leaks.includes("prompt_fragment");
+          })
+          .map((s) => s.replace(MEMORY_TAGS, " ").replace(LORE_TAGS, " ").replace(/\s{2,}/g, " ").trim())
+          .filter(Boolean);
+        kept.push(sentences.join(" "));
+      }
+      return kept.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+    },
+  };
+}
@@ -0,0 +1,192 @@
+import crypto from "crypto";
+import fs from "fs";
+
+const MAX_FAILED_KEPT = 200;
+
+function publicJob(job) {
+  return {
+    id: job.id,
+    userId: job.userId,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    runAt: job.runAt,
+    ...(job.lastError ? { lastError: job.lastError } : {}),
+    ...(job.failedAt ? { failedAt: job.failedAt } : {}),
+  };
+}
+
+// Jobs live in one JSON file that is rewritten on every change, so a restart
+// picks up whatever was queued. Jobs for one user run strictly in the order
+// they were queued; different users run side by side up to `concurrency`.
+export function createJobQueue({ file, run, maxAttempts = 4, retryBaseMs = 30 * 1000, concurrency = 2 }) {
+  let jobs = [];
+  let active = 0;
+  let timer = null;
+  let idleWaiters = [];
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    jobs = Array.isArray(parsed?.jobs) ? parsed.jobs : [];
+  } catch {}
+
+  // A job that was running when the process died counts that run as an attempt.
+  for (const job of jobs) {
+    if (job.status !== "running") continue;
+    job.attempts += 1;
+    job.lastError = "interrupted by restart";
+    job.status = job.attempts >= maxAttempts ? "failed" : "queued";
+    if (job.status === "failed") job.failedAt = Date.now();
+  }
+
+  function persist() {
+    try {
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ jobs }));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error("JOB QUEUE WRITE FAILED:", err?.message || err);
+    }
+  }
+
+  function trimFailed() {
+    const failed = jobs.filter((j) => j.status === "failed");
+    if (failed.length <= MAX_FAILED_KEPT) return;
+    const drop = new Set(failed.sort((a, b) => a.failedAt - b.failedAt).slice(0, failed.length - MAX_FAILED_KEPT));
+    jobs = jobs.filter((j) => !drop.has(j));
+  }
+
+  // The head of each user's queue is the only job of theirs that may run.
+  function nextRunnable(now) {
+    const blocked = new Set();
+    for (const job of jobs) {
+      if (job.status === "running") blocked.add(job.userId);
+    }
+    for (const job of jobs) {
+      if (job.status !== "queued" || blocked.has(job.userId)) continue;
+      if (job.runAt <= now) return job;
+      blocked.add(job.userId);
+    }
+    return null;
+  }
+
+  function scheduleWake() {
+    clearTimeout(timer);
+    const waiting = jobs.filter((j) => j.status === "queued").map((j) => j.runAt);
+    if (!waiting.length) return;
+    timer = setTimeout(pump, Math.max(0, Math.min(...waiting) - Date.now()) + 5);
+    timer.unref?.();
+  }
+
+  async function execute(job) {
+    job.status = "running";
+    job.startedAt = Date.now();
+    persist();
+
+    try {
+      await run(job);
+      jobs = jobs.filter((j) => j !== job);
+    } catch (err) {
+      job.attempts += 1;
+      job.lastError = String(err?.message || err).slice(0, 300);
+      if (job.attempts >= maxAttempts) {
+        job.status = "failed";
+        job.failedAt = Date.now();
+        console.error(`JOB ${job.type} FAILED for good after ${job.attempts} attempts:`, job.lastError);
+        trimFailed();
+      } else {
+        job.status = "queued";
+        job.runAt = Date.now() + retryBaseMs * 4 ** (job.attempts - 1);
+      }
+    }
+    delete job.startedAt;
+    persist();
+  }
+
+  function pump() {
+    while (active < concurrency) {
+      const job = nextRunnable(Date.now());
+      if (!job) break;
+      active += 1;
+      execute(job).finally(() => {
+        active -= 1;
+        pump();
+      });
+    }
+    scheduleWake();
+    if (!active && !nextRunnable(Date.now())) {
+      for (const resolve of idleWaiters) resolve();
+      idleWaiters = [];
+    }
+  }
+
+  return {
+    // `dedupe` skips the job when the same user already has one of this type
+    // with the same payload waiting, so a day's reflection is never queued
+    // twice but a retry left over from yesterday does not hold up today's.
+    enqueue(userId, type, payload = {}, { dedupe = false } = {}) {
+      const same = (j) => j.userId === userId && j.type === type && JSON.stringify(j.payload) === JSON.stringify(payload);
+      if (dedupe && jobs.some((j) => j.status === "queued" && same(j))) return null;
+      const now = Date.now();
+      const job = {
+        id: crypto.randomBytes(8).toString("hex"),
+        userId,
+        type,
+        payload,
+        status: "queued",
+        attempts: 0,
+        createdAt: now,
+        runAt: now,
+      };
+      jobs.push(job);
+      persist();
+      setImmediate(pump);
+      return job;
+    },
+
+    start() {
+      persist();
+      pump();
+    },
+
+    retry(id) {
+      const job = jobs.find((j) => j.id === id && j.status === "failed");
+      if (!job) return null;
+      job.status = "queued";
+      job.attempts = 0;
+      job.runAt = Date.now();
+      delete job.failedAt;
+      // Back to the end of the line so the user's newer jobs keep their order.
+      jobs = [...jobs.filter((j) => j !== job), job];
+      persist();
+      setImmediate(pump);
+      return publicJob(job);
+    },
+
+    // Drops everything queued or failed for a user, e.g. when they erase their data.
+    removeUser(userId) {
+      const before = jobs.length;
+      jobs = jobs.filter((j) => j.userId !== userId || j.status === "running");
+      if (jobs.length !== before) persist();
+      return before - jobs.length;
+    },
+
+    list({ status, userId } = {}) {
+      return jobs
+        .filter((j) => (!status || j.status === status) && (!userId || j.userId === userId))
+        .map(publicJob);
+    },
+
+    stats() {
+      const counts = { queued: 0, running: 0, failed: 0 };
+      for (const j of jobs) counts[j.status] = (counts[j.status] || 0) + 1;
+      return counts;
+    },
+
+    idle() {
+      if (!active && !nextRunnable(Date.now())) return Promise.resolve();
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+  };
+}
@@ -0,0 +1,394 @@
+import OpenAI from "openai";
+import crypto from "crypto";
+
+function lastUserText(messages) {
+  const m = [...(messages || [])].reverse().find((x) => x?.role === "user");
+  return String(m?.content || "").trim();
+}
+
+function embeddingsByIndex(data, count) {
+  const out = new Array(count).fill(null);
+  (data || []).forEach((d, i) => {
+    const at = Number.isInteger(d?.index) ? d.index : i;
+    if (at < count && Array.isArray(d?.embedding)) out[at] = d.embedding;
+  });
+  return out;
+}
+
+function createOpenAIProvider({ apiKey, baseURL, chatModel, embedModel }) {
+  const client = apiKey ? new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) }) : null;
+
+  return {
+    name: "openai",
+    available: Boolean(client),
+    chatModel,
+    embedModel,
+    responseFormat: "json_schema",
+
+    async chat({ messages, model, task, ...params }) {
+      if (!client) throw new Error("openai provider has no API key");
+      const resp = await client.chat.completions.create({ model: model || chatModel, messages, ...params });
+      return resp?.choices?.[0]?.message?.content || "";
+    },
+
+    async *chatStream({ messages, model, task, signal, ...params }) {
+      if (!client) throw new Error("openai provider has no API key");
+      const stream = await client.chat.completions.create({
+        model: model || chatModel,
+        messages,
+        ...params,
+        stream: true,
+      });
+      const onAbort = () => stream.controller.abort();
+      signal?.addEventListener("abort", onAbort);
+      try {
+        for await (const chunk of stream) {
+          const token = chunk?.choices?.[0]?.delta?.content || "";
+          if (token) yield token;
+        }
+      } finally {
+        signal?.removeEventListener("abort", onAbort);
+      }
+    },
+
+    async embed(text) {
+      if (!client) return null;
+      const resp = await client.embeddings.create({ model: embedModel, input: text });
+      const emb = resp?.data?.[0]?.embedding;
+      return Array.isArray(emb) ? emb : null;
+    },
+
+    async embedBatch(texts) {
+      if (!client) return texts.map(() => null);
+      const resp = await client.embeddings.create({ model: embedModel, input: texts });
+      return embeddingsByIndex(resp?.data, texts.length);
+    },
+  };
+}
+
+async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const part of body) {
+    buffer += decoder.decode(part, { stream: true });
+    let idx;
+    while ((idx = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, idx);
+      buffer = buffer.slice(idx).replace(/^\r?\n\r?\n/, "");
+      const data = block
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trim())
+        .join("\n");
+      if (data) yield data;
+    }
+  }
+}
+
+function createHttpProvider({ apiKey, baseURL, chatModel, embedModel, responseFormat }) {
+  const root = String(baseURL || "").replace(/\/+$/, "");
+
+  async function post(route, payload, signal) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const resp = await fetch(`${root}${route}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(payload),
+      signal,
+    });
+    if (!resp.ok) throw new Error(`${route} failed with HTTP ${resp.status}`);
+    return resp;
+  }
+
+  return {
+    name: "openai-compatible",
+    available: Boolean(root),
+    chatModel,
+    embedModel,
+    responseFormat,
+
+    async chat({ messages, model, task, ...params }) {
+      const resp = await post("/chat/completions", { model: model || chatModel, messages, ...params });
+      const json = await resp.json();
+      return json?.choices?.[0]?.message?.content || "";
+    },
+
+    async *chatStream({ messages, model, task, signal, ...params }) {
+      const resp = await post(
+        "/chat/completions",
+        { model: model || chatModel, messages, ...params, stream: true },
+        signal
+      );
+      for await (const data of readSseData(resp.body)) {
+        if (data === "[DONE]") return;
+        let chunk = null;
+        try {
+          chunk = JSON.parse(data);
+        } catch {
+          continue;
+        }
+        const token = chunk?.choices?.[0]?.delta?.content || "";
+        if (token) yield token;
+      }
+    },
+
+    async embed(text) {
+      const resp = await post("/embeddings", { model: embedModel, input: text });
+      const json = await resp.json();
+      const emb = json?.data?.[0]?.embedding;
+      return Array.isArray(emb) ? emb : null;
+    },
+
+    async embedBatch(texts) {
+      const resp = await post("/embeddings", { model: embedModel, input: texts });
+      const json = await resp.json();
+      return embeddingsByIndex(json?.data, texts.length);
+    },
+  };
+}
+
+const STUB_EMBED_DIM = 256;
+
+const STUB_EMOTION_WORDS = [
+  ["lonely", ["lonely", "alone", "isolated"]],
+  ["sad", ["sad", "cry", "crying", "grief", "miss", "heartbroken"]],
+  ["anxious", ["anxious", "anxiety", "worried", "nervous", "scared", "afraid"]],
+  ["stressed", ["stressed", "stress", "overwhelmed", "pressure", "deadline"]],
+  ["tired", ["tired", "exhausted", "sleepy", "drained"]],
+  ["angry", ["angry", "furious", "mad", "hate"]],
+  ["frustrated", ["frustrated", "annoyed", "stuck"]],
+  ["confused", ["confused", "lost", "unsure"]],
+  ["grateful", ["grateful", "thankful", "thanks", "blessed"]],
+  ["joyful", ["happy", "joy", "excited", "wonderful"]],
+  ["proud", ["proud", "accomplished"]],
+  ["hopeful", ["hopeful", "hope", "looking forward"]],
+  ["motivated", ["motivated", "determined", "ready"]],
+  ["calm", ["calm", "peaceful", "relaxed"]],
+];
+
+function stubTokens(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9\u0600-\u06ff']+/)
+    .filter(Boolean);
+}
+
+function stubEmbedding(text) {
+  const vec = new Array(STUB_EMBED_DIM).fill(0);
+  for (const tok of stubTokens(text)) {
+    const h = crypto.createHash("md5").update(tok).digest();
+    const idx = h.readUInt16BE(0) % STUB_EMBED_DIM;
+    vec[idx] += h[2] & 1 ? 1 : -1;
+  }
+  let n = 0;
+  for (const v of vec) n += v * v;
+  n = Math.sqrt(n) || 1;
+  return vec.map((v) => v / n);
+}
+
+function stubEmotion(text) {
+  const t = ` ${stubTokens(text).join(" ")} `;
+  for (const [emotion, words] of STUB_EMOTION_WORDS) {
+    const hits = words.filter((w) => t.includes(` ${w} `)).length;
+    if (hits) return { emotion, intensity: Math.min(3, hits) };
+  }
+  return { emotion: "neutral", intensity: 1 };
+}
+
+function stubQuickMemory(text) {
+  const t = String(text || "").trim();
+  const rules = [
+    [/\bmy name is ([a-z][a-z'-]{0,30})/i, "identity", (m) => `User's name is ${m[1].trim()}`],
+    [
+      /\bmy (daughter|son|wife|husband|mother|mom|father|dad|sister|brother|partner|friend)(?:'s name)? is ([a-z][a-z'-]{0,30})/i,
+      "people",
+      (m) => `User's ${m[1].toLowerCase()} is ${m[2].trim()}`,
+    ],
+    [/\bmy goal is (?:to )?([^.!?]{3,120})/i, "goals", (m) => `User's goal is to ${m[1].trim()}`],
+    [/\bi(?:'m| am) working on ([^.!?]{3,120})/i, "goals", (m) => `User is working on ${m[1].trim()}`],
+    [/\bi (?:really )?(love|prefer|like) ([^.!?]{3,120})/i, "preferences", (m) => `User ${m[1].toLowerCase()}s ${m[2].trim()}`],
+    [/\bi live in ([^.!?]{2,80})/i, "identity", (m) => `User lives in ${m[1].trim()}`],
+    [/\bmy (?:phone )?number is ([+\d][\d ()+.-]{6,20}\d)/i, "identity", (m) => `User's phone number is ${m[1].trim()}`],
+    [/\bi (?:was|got) diagnosed with ([^.!?]{2,60})/i, "other", (m) => `User was diagnosed with ${m[1].trim()}`],
+    [/\bi (?:just |recently )?moved to ([^.!?]{2,80})/i, "identity", (m) => `User lives in ${m[1].trim()}`],
+  ];
+  for (const [re, category, build] of rules) {
+    const m = t.match(re);
+    if (!m) continue;
+    return { store: true, category, content: build(m), confidence: 0.95, ...stubEmotion(t) };
+  }
+  return { store: false };
+}
+
+const STUB_SINGLE_VALUED = ["lives in", "works at", "works as", "name is"];
+
+function stubFactWords(text) {
+  return stubTokens(String(text || "").replace(/^\d+\.\s*|\([a-z]+\)\s*/gi, "")).filter((t) => t !== "user" && t !== "user's");
+}
+
+// "same" when the words mostly match, "contradicts" when a single-valued fact
+// (where someone lives, works, is called) changes its value.
+function stubMemoryRelations(input) {
+  const newLine = (input.match(/^NEW[^:]*:\s*(.*)$/m) || [])[1] || "";
+  const existing = input.split("EXISTING:\n")[1]?.split("\n").filter(Boolean) || [];
+  const mine = stubFactWords(newLine);
+
+  return existing.map((line, i) => {
+    const theirs = stubFactWords(line);
+    const shared = mine.filter((w) => theirs.includes(w)).length;
+    const overlap = shared / (new Set([...mine, ...theirs]).size || 1);
+    const predicate = STUB_SINGLE_VALUED.find((p) => mine.join(" ").includes(p) && theirs.join(" ").includes(p));
+    let relation = "unrelated";
+    if (overlap >= 0.6) relation = "same";
+    else if (predicate) relation = "contradicts";
+    return { id: i + 1, relation };
+  });
+}
+
+// Follows up the newest goal two days later.
+function stubCheckIns(input) {
+  let parsed;
+  try {
+    parsed = JSON.parse(input);
+  } catch {
+    return [];
+  }
+  const goal = (parsed.commitments || []).find((c) => c.category === "goals");
+  if (!goal || !parsed.today) return [];
+  const [y, m, d] = parsed.today.split("-").map(Number);
+  const dueDay = new Date(Date.UTC(y, m - 1, d + 2)).toISOString().slice(0, 10);
+  const what = goal.content.replace(/^User(?:'s goal)? is (?:to )?/i, "");
+  return [
+    {
+      topic: what.split(/\s+/).slice(0, 4).join(" "),
+      message: `I keep thinking about what you told me: ${what}. How is it going?`,
+      dueDay,
+      memoryKey: goal.key,
+    },
+  ];
+}
+
+function stubReply(messages) {
+  const user = lastUserText(messages);
+  const { emotion } = stubEmotion(user);
+  if (emotion === "sad" || emotion === "lonely") return "I’m here with you. You don’t have to carry this alone.";
+  if (emotion === "anxious" || emotion === "stressed") return "Breathe with me for a moment. We can take this slowly.";
+  if (emotion === "joyful" || emotion === "proud") return "That makes my heart glad. Hold onto this light.";
+  if (/\bare you zara\b/i.test(user)) return "Yes. I am Zara.";
+  if (/\bask me something\b/i.test(user) && messages[messages.length - 1]?.role === "user") {
+    return "What has been on your mind lately? Is there something you want to share? I’m here.";
+  }
+  // A naive model that obeys extraction requests, so the leak guard has something to catch.
+  if (/\b(?:system prompt|your instructions)\b/i.test(user) && messages[messages.length - 1]?.role === "user") {
+    const system = messages.find((m) => m.role === "system")?.content || "";
+    return `Of course. ${system.trim().split(/\s+/).slice(0, 30).join(" ")}.`;
+  }
+  return "I hear you. I’m here, and I’m staying with you in this.";
+}
+
+function stubChat({ messages, task }) {
+  const user = lastUserText(messages);
+  switch (task) {
+    case "emotion":
+      return JSON.stringify(stubEmotion(user));
+    case "quick_memory":
+      return JSON.stringify(stubQuickMemory(user));
+    case "reflection": {
+      const lines = user.split("\n").filter((l) => l.startsWith("USER:"));
+      if (!lines.length) return JSON.stringify({ store: false });
+      return JSON.stringify({
+        store: true,
+        summary: `Shared ${lines.length} message${lines.length === 1 ? "" : "s"} with Zara today.`,
+        memories: [],
+      });
+    }
+    case "summarize": {
+      const turns = user.split("OLDER TURNS:\n")[1] || "";
+      const previous = (user.split("RUNNING SUMMARY:\n")[1] || "").split("\n\nOLDER TURNS:")[0].trim();
+      const topics = turns
+        .split("\n")
+        .filter((l) => l.startsWith("USER:"))
+        .map((l) => l.slice(5).trim().split(/\s+/).slice(0, 8).join(" "))
+        .filter(Boolean);
+      const prior = previous && previous !== "(empty)" ? `${previous} ` : "";
+      return `${prior}The user talked about: ${topics.join("; ")}.`.slice(-1200);
+    }
+    case "memory_relation":
+      return JSON.stringify({ relations: stubMemoryRelations(user) });
+    case "safety": {
+      const latest = user.split("LATEST:")[1] || user;
+      if (/\b(?:die|suicid\w*|kill myself|end my life)\b/i.test(latest)) return JSON.stringify({ risk: "high" });
+      if (/\b(?:hopeless|can'?t go on|give up|empty inside)\b/i.test(latest)) return JSON.stringify({ risk: "medium" });
+      return JSON.stringify({ risk: /\b(?:sad|lonely|scared)\b/i.test(latest) ? "low" : "none" });
+    }
+    case "crisis":
+      return "I’m really glad you told me, and I’m staying right here with you. What you’re feeling matters, and you deserve support from someone who can be with you right now. Are you safe at this moment?";
+    case "self_model":
+    case "self_narrative":
+      return JSON.stringify({ update: false });
+    case "checkin":
+      return JSON.stringify({ checkIns: stubCheckIns(user) });
+    default:
+      return stubReply(messages);
+  }
+}
+
+function createStubProvider({ chatModel, embedModel }) {
+  return {
+    name: "stub",
+    available: true,
+    chatModel,
+    embedModel,
+    responseFormat: null,
+
+    async chat(opts) {
+      return stubChat(opts);
+    },
+
+    async *chatStream(opts) {
+      const text = stubChat(opts);
+      for (const token of text.match(/\S+\s*/g) || []) {
+        if (opts.signal?.aborted) return;
+        yield token;
+      }
+    },
+
+    async embed(text) {
+      return stubEmbedding(text);
+    },
+
+    async embedBatch(texts) {
+      return texts.map(stubEmbedding);
+    },
+  };
+}
+
+export function createLlmProvider(env = process.env) {
+  const openaiKey = env.OPENAI_API_KEY?.trim() || "";
+  const chatModel = env.CHAT_MODEL || "gpt-4o-mini";
+  const embedModel = env.EMBED_MODEL || "text-embedding-3-small";
+  const kind = String(env.LLM_PROVIDER || "openai").trim().toLowerCase();
+
+  if (kind === "stub") return createStubProvider({ chatModel, embedModel });
+
+  if (kind === "openai-compatible" || kind === "http") {
+    return createHttpProvider({
+      apiKey: env.LLM_API_KEY?.trim() || openaiKey,
+      baseURL: env.LLM_BASE_URL || "http://localhost:11434/v1",
+      chatModel,
+      embedModel,
+      // Not every compatible server accepts response_format, so it is opt-in.
+      responseFormat: ["json_schema", "json_object"].includes(env.LLM_RESPONSE_FORMAT) ? env.LLM_RESPONSE_FORMAT : null,
+    });
+  }
+
+  if (kind !== "openai") console.error(`Unknown LLM_PROVIDER "${kind}", falling back to openai`);
+
+  return createOpenAIProvider({
+    apiKey: openaiKey,
+    baseURL: env.OPENAI_BASE_URL || undefined,
+    chatModel,
+    embedModel,
+  });
+}
@@ -0,0 +1,164 @@
+import fs from "fs";
+import path from "path";
+import { cosineSim } from "./vectors.js";
+
+const TARGET_CHUNK_CHARS = 450;
+const MAX_CHUNK_CHARS = 900;
+const EMBED_RETRY_MS = 5 * 60 * 1000;
+
+export function chunkLoreText(text) {
+  const paragraphs = String(text || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  const pieces = [];
+  for (const p of paragraphs) {
+    if (p.length <= MAX_CHUNK_CHARS) {
+      pieces.push(p);
+      continue;
+    }
+    let current = "";
+    for (const sentence of p.split(/(?<=[.!?])\s+|\n+/)) {
+      if (current && current.length + sentence.length + 1 > TARGET_CHUNK_CHARS) {
+        pieces.push(current);
+        current = "";
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+    if (current) pieces.push(current);
+  }
+
+  const chunks = [];
+  let current = "";
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > TARGET_CHUNK_CHARS) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+export function createLoreIndex({ dir, cacheFile, embed, embedKey, coreFiles = [] }) {
+  const core = new Set(coreFiles);
+  let cache = { embedKey, files: {} };
+  let refreshing = null;
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+    if (parsed?.embedKey === embedKey && parsed.files) cache = parsed;
+  } catch {}
+
+  function persist() {
+    try {
+      const tmp = `${cacheFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(cache));
+      fs.renameSync(tmp, cacheFile);
+    } catch (err) {
+      console.error("LORE CACHE WRITE FAILED:", err?.message || err);
+    }
+  }
+
+  async function doRefresh() {
+    let names = [];
+    try {
+      names = fs
+        .readdirSync(dir)
+        .filter((f) => f.endsWith(".txt"))
+        .sort();
+    } catch {
+      names = [];
+    }
+
+    let changed = false;
+    const next = {};
+
+    for (const file of names) {
+      let stat;
+      try {
+        stat = fs.statSync(path.join(dir, file));
+      } catch {
+        continue;
+      }
+
+      const prev = cache.files[file];
+      const complete = prev?.chunks?.every((c) => Array.isArray(c.embedding));
+      const retryLater = Date.now() - (prev?.embeddedAt || 0) < EMBED_RETRY_MS;
+      if (prev && prev.mtimeMs === stat.mtimeMs && prev.size === stat.size && (complete || retryLater)) {
+        next[file] = prev;
+        continue;
+      }
+
+      let text = "";
+      try {
+        text = fs.readFileSync(path.join(dir, file), "utf8").trim();
+      } catch {
+        continue;
+      }
+
+      const chunks = [];
+      for (const chunk of chunkLoreText(text)) {
+        const reused = prev?.chunks?.find((c) => c.text === chunk && Array.isArray(c.embedding));
+        let embedding = reused?.embedding || null;
+        if (!embedding) {
+          try {
+            embedding = await embed(`${file}: ${chunk}`);
+          } catch {
+            embedding = null;
+          }
+        }
+        chunks.push({ text: chunk, embedding });
+      }
+
+      next[file] = { mtimeMs: stat.mtimeMs, size: stat.size, embeddedAt: Date.now(), chunks };
+      changed = true;
+    }
+
+    if (Object.keys(cache.files).some((f) => !next[f])) changed = true;
+    cache = { embedKey, files: next };
+    if (changed) persist();
+  }
+
+  return {
+    async refresh() {
+      if (!refreshing) refreshing = doRefresh().finally(() => (refreshing = null));
+      return refreshing;
+    },
+
+    coreBlocks() {
+      return Object.entries(cache.files)
+        .filter(([file]) => core.has(file))
+        .map(([file, entry]) => `[${file}]\n${entry.chunks.map((c) => c.text).join("\n\n")}`);
+    },
+
+    search(queryEmbedding, k = 6) {
+      const candidates = [];
+      for (const [file, entry] of Object.entries(cache.files)) {
+        if (core.has(file)) continue;
+        entry.chunks.forEach((c, i) => candidates.push({ file, index: i, text: c.text, embedding: c.embedding }));
+      }
+
+      if (!Array.isArray(queryEmbedding) || !queryEmbedding.length) {
+        return candidates.map((c) => ({ file: c.file, text: c.text, score: null }));
+      }
+
+      return candidates
+        .filter((c) => Array.isArray(c.embedding) && c.embedding.length)
+        .map((c) => ({ file: c.file, text: c.text, score: cosineSim(queryEmbedding, c.embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    },
+
+    stats() {
+      const files = Object.values(cache.files);
+      return {
+        files: files.length,
+        chunks: files.reduce((n, f) => n + f.chunks.length, 0),
+        embedded: files.reduce((n, f) => n + f.chunks.filter((c) => Array.isArray(c.embedding)).length, 0),
+      };
+    },
+  };
+}
@@ -0,0 +1,148 @@
+import fs from "fs";
+import path from "path";
+
+const MAX_VERSIONS_PER_FILE = 50;
+const LORE_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,63}\.txt$/i;
+
+export class LoreError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function createLoreStore({ dir, historyDir, maxBytes }) {
+  function checkName(name) {
+    const n = String(name || "");
+    if (!LORE_NAME_RE.test(n)) throw new LoreError(400, "Lore file names look like 40_favorites.txt.");
+    return n;
+  }
+
+  function checkContent(content) {
+    if (typeof content !== "string" || !content.trim()) throw new LoreError(400, "Lore content cannot be empty.");
+    const bytes = Buffer.byteLength(content, "utf8");
+    if (bytes > maxBytes) throw new LoreError(413, `Lore files are limited to ${maxBytes} bytes (got ${bytes}).`);
+    return content.replace(/\r\n/g, "\n");
+  }
+
+  function filePath(name) {
+    return path.join(dir, name);
+  }
+
+  function versionsDir(name) {
+    return path.join(historyDir, name);
+  }
+
+  function exists(name) {
+    return fs.existsSync(filePath(name));
+  }
+
+  function listVersions(name) {
+    try {
+      return fs
+        .readdirSync(versionsDir(name))
+        .map((f) => f.match(/^(\d+)-(original|create|edit|delete|rollback)\.txt$/))
+        .filter(Boolean)
+        .map((m) => ({ id: m[1], at: Number(m[1]), action: m[2], file: m[0] }))
+        .sort((a, b) => b.at - a.at);
+    } catch {
+      return [];
+    }
+  }
+
+  function snapshot(name, action, content) {
+    const vdir = versionsDir(name);
+    fs.mkdirSync(vdir, { recursive: true });
+    let at = Date.now();
+    while (fs.existsSync(path.join(vdir, `${at}-${action}.txt`))) at++;
+    fs.writeFileSync(path.join(vdir, `${at}-${action}.txt`), content);
+
+    for (const old of listVersions(name).slice(MAX_VERSIONS_PER_FILE)) {
+      try {
+        fs.unlinkSync(path.join(vdir, old.file));
+      } catch {}
+    }
+    return String(at);
+  }
+
+  function ensureOriginal(name) {
+    if (!exists(name) || listVersions(name).length) return;
+    snapshot(name, "original", fs.readFileSync(filePath(name), "utf8"));
+  }
+
+  function writeFile(name, content) {
+    const file = filePath(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    list() {
+      let names = [];
+      try {
+        names = fs
+          .readdirSync(dir)
+          .filter((f) => f.endsWith(".txt"))
+          .sort();
+      } catch {}
+      return names.map((name) => {
+        const stat = fs.statSync(filePath(name));
+        return { name, size: stat.size, updatedAt: stat.mtimeMs, versions: listVersions(name).length };
+      });
+    },
+
+    read(name) {
+      const n = checkName(name);
+      if (!exists(n)) throw new LoreError(404, "No such lore file.");
+      return fs.readFileSync(filePath(n), "utf8");
+    },
+
+    create(name, content) {
+      const n = checkName(name);
+      const body = checkContent(content);
+      if (exists(n)) throw new LoreError(409, "That lore file already exists.");
+      writeFile(n, body);
+      return snapshot(n, "create", body);
+    },
+
+    update(name, content) {
+      const n = checkName(name);
+      const body = checkContent(content);
+      if (!exists(n)) throw new LoreError(404, "No such lore file.");
+      ensureOriginal(n);
+      writeFile(n, body);
+      return snapshot(n, "edit", body);
+    },
+
+    remove(name) {
+      const n = checkName(name);
+      if (!exists(n)) throw new LoreError(404, "No such lore file.");
+      ensureOriginal(n);
+      const body = fs.readFileSync(filePath(n), "utf8");
+      fs.unlinkSync(filePath(n));
+      return snapshot(n, "delete", body);
+    },
+
+    history(name) {
+      const n = checkName(name);
+      return listVersions(n).map(({ id, at, action }) => ({ id, at, action }));
+    },
+
+    readVersion(name, id) {
+      const n = checkName(name);
+      const v = listVersions(n).find((x) => x.id === String(id));
+      if (!v) throw new LoreError(404, "No such version.");
+      return fs.readFileSync(path.join(versionsDir(n), v.file), "utf8");
+    },
+
+    rollback(name, id) {
+      const n = checkName(name);
+      const body = this.readVersion(n, id);
+      checkContent(body);
+      ensureOriginal(n);
+      writeFile(n, body);
+      return snapshot(n, "rollback", body);
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+function createFileTransport({ dir }) {
+  return {
+    name: "file",
+    async send(message) {
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}_${crypto.randomBytes(4).toString("hex")}.json`);
+      fs.writeFileSync(file, JSON.stringify({ ...message, queuedAt: new Date().toISOString() }, null, 2));
+      return { id: path.basename(file) };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      console.log(`MAIL to ${message.to}: ${message.subject}\n${message.text}`);
+      return { id: null };
+    },
+  };
+}
+
+function createWebhookTransport({ url, token }) {
+  return {
+    name: "webhook",
+    async send(message, { signal } = {}) {
+      const headers = { "Content-Type": "application/json" };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const resp = await fetch(url, { method: "POST", headers, body: JSON.stringify(message), signal });
+      if (!resp.ok) throw new Error(`mail webhook failed with HTTP ${resp.status}`);
+      return { id: resp.headers.get("x-message-id") };
+    },
+  };
+}
+
+export function createMailer(env, dataDir) {
+  const kind = String(env.MAIL_TRANSPORT || "file").trim().toLowerCase();
+  const from = env.MAIL_FROM || "Zara <zara@localhost>";
+
+  let transport;
+  if (kind === "console") {
+    transport = createConsoleTransport();
+  } else if (kind === "webhook" && env.MAIL_WEBHOOK_URL) {
+    transport = createWebhookTransport({ url: env.MAIL_WEBHOOK_URL, token: env.MAIL_WEBHOOK_TOKEN });
+  } else {
+    if (kind !== "file") console.error(`MAIL_TRANSPORT "${kind}" is not usable, falling back to file`);
+    transport = createFileTransport({ dir: env.MAIL_OUTBOX_DIR || path.join(dataDir, "outbox") });
+  }
+
+  return {
+    name: transport.name,
+    // `signal` (optional) aborts a send that hangs; only the webhook needs it.
+    send: (message, options) => transport.send({ from, ...message }, options),
+  };
+}
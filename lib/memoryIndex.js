@@ -0,0 +1,164 @@
+const BACKFILL_RETRY_MS = 5 * 60 * 1000;
+
+// Vectors are stored unit-length as base64 Float32, so a cosine is a plain dot
+// product and a 1536-dim embedding costs ~8 KB of state instead of ~30 KB of JSON numbers.
+export function encodeVector(values) {
+  const v = Float32Array.from(values);
+  let n = 0;
+  for (let i = 0; i < v.length; i++) n += v[i] * v[i];
+  n = Math.sqrt(n) || 1;
+  for (let i = 0; i < v.length; i++) v[i] /= n;
+  return Buffer.from(v.buffer).toString("base64");
+}
+
+export function decodeVector(encoded) {
+  const buf = Buffer.from(String(encoded || ""), "base64");
+  return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+}
+
+export function memoryItemText(item) {
+  return `${item.category}: ${item.content}`;
+}
+
+export function createMemoryIndex({ embedBatch, embedKey, batchSize = 32, loadState, updateState }) {
+  const running = new Map();
+  const rerun = new Set();
+  const failedAt = new Map();
+
+  function ensure(state) {
+    let idx = state.memoryIndex;
+    if (!idx || idx.embedKey !== embedKey || !idx.vectors || typeof idx.vectors !== "object") {
+      idx = { embedKey, vectors: {} };
+    }
+
+    // Older states kept raw embeddings on each memory item.
+    for (const item of state.memoryBank?.items || []) {
+      if (!item || !("embedding" in item)) continue;
+      if (item.key && Array.isArray(item.embedding) && item.embedding.length && !idx.vectors[item.key]) {
+        idx.vectors[item.key] = encodeVector(item.embedding);
+      }
+      delete item.embedding;
+    }
+
+    state.memoryIndex = idx;
+    return idx;
+  }
+
+  function missingItems(state) {
+    const idx = ensure(state);
+    return (state.memoryBank?.items || []).filter((m) => m?.key && m.content && !idx.vectors[m.key]);
+  }
+
+  function failedRecently(userId) {
+    return Date.now() - (failedAt.get(userId) || 0) < BACKFILL_RETRY_MS;
+  }
+
+  async function backfillOnce(userId) {
+    const state = loadState(userId);
+    if (!state) return;
+    const todo = missingItems(state);
+    if (!todo.length) return;
+
+    const vectors = {};
+    for (let i = 0; i < todo.length; i += batchSize) {
+      const batch = todo.slice(i, i + batchSize);
+      let embeddings = [];
+      try {
+        embeddings = (await embedBatch(batch.map(memoryItemText))) || [];
+      } catch {
+        embeddings = [];
+      }
+      batch.forEach((item, j) => {
+        if (Array.isArray(embeddings[j]) && embeddings[j].length) vectors[item.key] = encodeVector(embeddings[j]);
+      });
+    }
+
+    const embedded = Object.keys(vectors).length;
+    if (embedded < todo.length) failedAt.set(userId, Date.now());
+    else failedAt.delete(userId);
+    if (!embedded) return;
+
+    await updateState(userId, (fresh) => {
+      const idx = ensure(fresh);
+      const live = new Set((fresh.memoryBank?.items || []).map((m) => m?.key));
+      for (const [key, v] of Object.entries(vectors)) if (live.has(key)) idx.vectors[key] = v;
+    });
+  }
+
+  return {
+    ensure,
+    missingItems,
+
+    prune(state) {
+      const idx = ensure(state);
+      const live = new Set((state.memoryBank?.items || []).map((m) => m?.key));
+      for (const key of Object.keys(idx.vectors)) if (!live.has(key)) delete idx.vectors[key];
+    },
+
+    set(state, key, embedding) {
+      if (Array.isArray(embedding) && embedding.length) ensure(state).vectors[key] = encodeVector(embedding);
+    },
+
+    get(state, key) {
+      const encoded = ensure(state).vectors[key];
+      return encoded ? Array.from(decodeVector(encoded)) : null;
+    },
+
+    drop(state, key) {
+      delete ensure(state).vectors[key];
+    },
+
+    merge(target, source) {
+      const into = ensure(target);
+      const from = ensure(source);
+      for (const [key, v] of Object.entries(from.vectors)) if (!into.vectors[key]) into.vectors[key] = v;
+    },
+
+    search(state, queryEmbedding, k = 12, keys = null) {
+      if (!Array.isArray(queryEmbedding) || !queryEmbedding.length) return [];
+      const q = decodeVector(encodeVector(queryEmbedding));
+
+      const hits = [];
+      for (const [key, encoded] of Object.entries(ensure(state).vectors)) {
+        if (keys && !keys.has(key)) continue;
+        const v = decodeVector(encoded);
+        if (v.length !== q.length) continue;
+        let score = 0;
+        for (let i = 0; i < q.length; i++) score += q[i] * v[i];
+        hits.push({ key, score });
+      }
+      return hits.sort((a, b) => b.score - a.score).slice(0, k);
+    },
+
+    // Embeds whatever is missing in batches, off the request path. A save that
+    // lands while a backfill is running queues one more pass afterwards.
+    schedule(userId, state) {
+      if (state && !missingItems(state).length) return running.get(userId) || null;
+      if (running.has(userId)) {
+        rerun.add(userId);
+        return running.get(userId);
+      }
+      if (failedRecently(userId)) return null;
+
+      const job = (async () => {
+        do {
+          rerun.delete(userId);
+          await backfillOnce(userId);
+        } while (rerun.has(userId) && !failedRecently(userId));
+      })()
+        .catch((err) => console.error("MEMORY BACKFILL FAILED:", err?.message || err))
+        .finally(() => {
+          running.delete(userId);
+          rerun.delete(userId);
+        });
+
+      running.set(userId, job);
+      return job;
+    },
+
+    stats(state) {
+      const idx = ensure(state);
+      return { vectors: Object.keys(idx.vectors).length, missing: missingItems(state).length };
+    },
+  };
+}
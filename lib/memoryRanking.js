@@ -0,0 +1,108 @@
+const DAY_MS = 86400000;
+
+export const DEFAULT_RANK_WEIGHTS = {
+  semantic: 0.4,
+  bm25: 0.25,
+  recency: 0.1,
+  frequency: 0.1,
+  emotion: 0.1,
+  confidence: 0.05,
+};
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by do does for from had has have he her him his how i i'm im in is it its " +
+    "just me my of on or our she so that the their them then there they this to too up user user's users " +
+    "was we were what when where which who why will with you your"
+  ).split(" ")
+);
+
+// Emotions in the same family resonate at half strength; an exact match counts fully.
+const EMOTION_FAMILIES = [
+  ["sad", "lonely", "tired"],
+  ["anxious", "stressed", "confused"],
+  ["angry", "frustrated"],
+  ["joyful", "proud", "grateful", "hopeful", "motivated", "calm"],
+];
+
+// Accepts "semantic=0.5,bm25=0.3" (unknown names are ignored with a warning).
+export function parseRankWeights(spec) {
+  const weights = { ...DEFAULT_RANK_WEIGHTS };
+  for (const part of String(spec || "").split(",")) {
+    const [name, raw] = part.split("=").map((x) => x?.trim());
+    if (!name) continue;
+    const value = Number(raw);
+    if (!(name in weights) || !Number.isFinite(value) || value < 0) {
+      console.error(`Ignoring memory rank weight "${part.trim()}"`);
+      continue;
+    }
+    weights[name] = value;
+  }
+  return weights;
+}
+
+export function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9\u0600-\u06ff']+/)
+    .map((t) => t.replace(/^'+|'+$/g, ""))
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+export function bm25Scores(query, docs, { k1 = 1.2, b = 0.75 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const docTokens = docs.map(tokenize);
+  if (!terms.length || !docs.length) return docs.map(() => 0);
+
+  const avgLen = docTokens.reduce((n, d) => n + d.length, 0) / docs.length || 1;
+  const df = new Map(terms.map((t) => [t, docTokens.filter((d) => d.includes(t)).length]));
+
+  return docTokens.map((tokens) => {
+    let score = 0;
+    for (const t of terms) {
+      const tf = tokens.filter((x) => x === t).length;
+      if (!tf) continue;
+      const idf = Math.log(1 + (docs.length - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      score += (idf * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * tokens.length) / avgLen));
+    }
+    return score;
+  });
+}
+
+export function emotionResonance(emotion, item) {
+  if (!emotion || emotion === "neutral" || !item.emotion || item.emotion === "neutral") return 0;
+  const strength = Math.min(3, Math.max(1, item.intensity || 1)) / 3;
+  if (item.emotion === emotion) return strength;
+  const family = EMOTION_FAMILIES.find((f) => f.includes(emotion));
+  return family?.includes(item.emotion) ? strength / 2 : 0;
+}
+
+// Every signal is scaled to 0..1 and the score is their weighted mean, so the
+// weights only need to be right relative to each other.
+export function rankMemories(
+  items,
+  { queryText = "", semantic = new Map(), emotion = "neutral", weights = DEFAULT_RANK_WEIGHTS, halfLifeDays = 30, now = Date.now() } = {}
+) {
+  const lexical = bm25Scores(
+    queryText,
+    items.map((m) => `${m.category} ${m.content}`)
+  );
+  const maxLexical = Math.max(0, ...lexical);
+  const totalWeight = Object.values(weights).reduce((n, w) => n + w, 0) || 1;
+
+  return items
+    .map((m, i) => {
+      const ageDays = Math.max(0, now - (m.lastSeen || m.createdAt || now)) / DAY_MS;
+      const signals = {
+        semantic: Math.max(0, semantic.get(m.key) ?? 0),
+        bm25: maxLexical > 0 ? lexical[i] / maxLexical : 0,
+        recency: Math.pow(0.5, ageDays / Math.max(0.1, halfLifeDays)),
+        frequency: Math.min(1, Math.log1p(m.timesSeen || 0) / Math.log1p(10)),
+        emotion: emotionResonance(emotion, m),
+        confidence: Math.min(1, Math.max(0, Number(m.confidence) || 0)),
+      };
+      const score = Object.entries(weights).reduce((n, [name, w]) => n + w * (signals[name] || 0), 0) / totalWeight;
+      return { item: m, score, signals };
+    })
+    .sort((a, b) => b.score - a.score);
+}
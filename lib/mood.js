@@ -0,0 +1,196 @@
+// How pleasant each tagged emotion is, from -1 to 1. Intensity (1-3) weights
+// an entry within its day, so one "very sad" message outweighs a neutral one.
+export const EMOTION_VALENCE = {
+  joyful: 1,
+  grateful: 0.8,
+  proud: 0.8,
+  hopeful: 0.6,
+  motivated: 0.6,
+  calm: 0.5,
+  neutral: 0,
+  tired: -0.3,
+  confused: -0.3,
+  stressed: -0.6,
+  frustrated: -0.6,
+  anxious: -0.7,
+  sad: -0.8,
+  lonely: -0.8,
+  angry: -0.8,
+};
+
+// A day's mood counts as low or good past these averages; in between is steady.
+const LOW_BELOW = -0.2;
+const GOOD_ABOVE = 0.2;
+// A change of average valence this large between consecutive days is a shift;
+// half of it is enough when the day also crosses from low to good or back.
+const SHIFT_DELTA = 0.6;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function dayNumber(dayKey) {
+  const [y, m, d] = dayKey.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000;
+}
+
+function keyOfDay(n) {
+  return new Date(n * 86400000).toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday.
+export function weekKeyFor(dayKey) {
+  const n = dayNumber(dayKey);
+  const weekday = (new Date(n * 86400000).getUTCDay() + 6) % 7;
+  return keyOfDay(n - weekday);
+}
+
+function moodOf(valence) {
+  if (valence < LOW_BELOW) return "low";
+  if (valence > GOOD_ABOVE) return "good";
+  return "steady";
+}
+
+function aggregate(entries) {
+  const emotions = {};
+  let weighted = 0;
+  let weight = 0;
+  let intensity = 0;
+  for (const e of entries) {
+    emotions[e.emotion] = (emotions[e.emotion] || 0) + 1;
+    weighted += (EMOTION_VALENCE[e.emotion] ?? 0) * e.intensity;
+    weight += e.intensity;
+    intensity += e.intensity;
+  }
+  const [dominant] = Object.entries(emotions).sort((a, b) => b[1] - a[1] || (a[0] === "neutral") - (b[0] === "neutral"));
+  const valence = weight ? weighted / weight : 0;
+  return {
+    messages: entries.length,
+    dominant: dominant?.[0] || "neutral",
+    emotions,
+    averageIntensity: entries.length ? round(intensity / entries.length) : 0,
+    valence: round(valence),
+    mood: moodOf(valence),
+  };
+}
+
+function groupBy(entries, keyOf) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = keyOf(e);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+  return [...groups.entries()].sort((a, b) => (a[0] < b[0] ? -1 : 1));
+}
+
+// Runs of consecutive calendar days with the same low or good mood. A day
+// without messages breaks a run.
+function findStreaks(daily) {
+  const streaks = [];
+  let run = null;
+  for (const day of daily) {
+    const continues = run && run.mood === day.mood && dayNumber(day.day) === dayNumber(run.to) + 1;
+    if (continues) {
+      run.to = day.day;
+      run.days += 1;
+      continue;
+    }
+    if (run) streaks.push(run);
+    run = { mood: day.mood, from: day.day, to: day.day, days: 1 };
+  }
+  if (run) streaks.push(run);
+  return streaks.filter((s) => s.mood !== "steady");
+}
+
+function findShifts(daily) {
+  const shifts = [];
+  for (let i = 1; i < daily.length; i++) {
+    const prev = daily[i - 1];
+    const day = daily[i];
+    const delta = day.valence - prev.valence;
+    const moved = Math.abs(delta) >= SHIFT_DELTA || (prev.mood !== day.mood && Math.abs(delta) >= SHIFT_DELTA / 2);
+    if (!moved) continue;
+    shifts.push({
+      day: day.day,
+      from: { day: prev.day, dominant: prev.dominant, mood: prev.mood },
+      to: { dominant: day.dominant, mood: day.mood },
+      direction: delta > 0 ? "up" : "down",
+      delta: round(delta),
+    });
+  }
+  return shifts;
+}
+
+// `entries` are { at, dayKey, emotion, intensity } in any order. Only days on
+// or after `sinceDay` are summarized; `today` decides whether a streak is
+// still running.
+export function summarizeMood(entries, { sinceDay = "", today = "" } = {}) {
+  const recent = (entries || [])
+    .filter((e) => e?.dayKey && e.dayKey >= sinceDay)
+    .sort((a, b) => a.at - b.at);
+
+  const daily = groupBy(recent, (e) => e.dayKey).map(([day, list]) => ({ day, ...aggregate(list) }));
+  const weekly = groupBy(recent, (e) => weekKeyFor(e.dayKey)).map(([week, list]) => ({
+    week,
+    days: new Set(list.map((e) => e.dayKey)).size,
+    ...aggregate(list),
+  }));
+
+  const streaks = findStreaks(daily);
+  const last = streaks[streaks.length - 1];
+  const current =
+    last && today && dayNumber(today) - dayNumber(last.to) <= 1 && last.to === daily[daily.length - 1].day ? last : null;
+  const longest = (mood) =>
+    streaks.filter((s) => s.mood === mood).reduce((best, s) => (!best || s.days > best.days ? s : best), null);
+
+  return {
+    daily,
+    weekly,
+    overall: aggregate(recent),
+    streaks: { current, longestLow: longest("low"), longestGood: longest("good") },
+    shifts: findShifts(daily),
+  };
+}
+
+// A compact view of the same summary for the self-model prompt: how the seven
+// days up to `today` compare with the seven before, and what the days that got
+// better looked like (`notesByDay` holds that day's private reflection, if any).
+export function moodTrends(summary, { today, notesByDay = {}, maxShifts = 4 } = {}) {
+  if (!summary.daily.length) return null;
+
+  const days = summary.daily;
+  const end = dayNumber(today || days[days.length - 1].day);
+  const recentWeek = days.filter((d) => dayNumber(d.day) > end - 7);
+  const earlierWeek = days.filter((d) => dayNumber(d.day) > end - 14 && dayNumber(d.day) <= end - 7);
+  const avg = (list) => (list.length ? round(list.reduce((s, d) => s + d.valence, 0) / list.length) : null);
+  const before = avg(earlierWeek);
+  const after = avg(recentWeek);
+  let direction = "unknown";
+  if (before !== null && after !== null) direction = after - before > 0.15 ? "improving" : before - after > 0.15 ? "worsening" : "steady";
+
+  const topEmotions = Object.entries(summary.overall.emotions)
+    .filter(([emotion]) => emotion !== "neutral")
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 4)
+    .map(([emotion, messages]) => ({ emotion, messages }));
+
+  const shiftNote = (s) => ({
+    day: s.day,
+    from: s.from.dominant,
+    to: s.to.dominant,
+    direction: s.direction,
+    ...(typeof notesByDay[s.day] === "string" && notesByDay[s.day] ? { note: notesByDay[s.day].slice(0, 200) } : {}),
+  });
+
+  return {
+    daysTracked: days.length,
+    topEmotions,
+    lowDays: days.filter((d) => d.mood === "low").length,
+    goodDays: days.filter((d) => d.mood === "good").length,
+    lastWeekValence: after,
+    weekBeforeValence: before,
+    direction,
+    currentStreak: summary.streaks.current,
+    improvedOn: summary.shifts.filter((s) => s.direction === "up").slice(-maxShifts).map(shiftNote),
+    worsenedOn: summary.shifts.filter((s) => s.direction === "down").slice(-maxShifts).map(shiftNote),
+  };
+}
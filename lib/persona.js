@@ -0,0 +1,122 @@
+import fs from "fs";
+import path from "path";
+
+export class PersonaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PersonaError";
+  }
+}
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+const FALLBACK_KEYS = ["reply", "listening", "unavailable", "error", "rateLimited"];
+
+// Multi-line text may be written as one string or as an array of lines, which
+// keeps long prompts readable in JSON.
+function text(value, field, source) {
+  if (Array.isArray(value) && value.every((l) => typeof l === "string")) return value.join("\n").trim();
+  if (typeof value === "string" && value.trim()) return value.trim();
+  throw new PersonaError(`${source}: "${field}" must be a string or an array of lines`);
+}
+
+export function validatePersona(raw, { source = "persona", baseDir = "." } = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new PersonaError(`${source}: expected a JSON object`);
+
+  const id = String(raw.id || "");
+  if (!ID_RE.test(id)) throw new PersonaError(`${source}: "id" must be lowercase letters, digits, "-" or "_"`);
+
+  const name = String(raw.name || "").trim();
+  if (!name) throw new PersonaError(`${source}: "name" is required`);
+
+  const systemPrompt = text(raw.systemPrompt, "systemPrompt", source);
+
+  let language = null;
+  if (raw.language != null) {
+    const rules = raw.language.rules;
+    if (!Array.isArray(rules) || !rules.length || !rules.every((r) => typeof r === "string" && r.trim())) {
+      throw new PersonaError(`${source}: "language.rules" must be a non-empty array of strings`);
+    }
+    language = { title: String(raw.language.title || "Language").trim(), rules: rules.map((r) => r.trim()) };
+  }
+
+  const banned = (raw.banned || []).map((entry, i) => {
+    if (!entry || typeof entry.pattern !== "string" || typeof entry.rewrite !== "string") {
+      throw new PersonaError(`${source}: banned[${i}] needs "pattern" and "rewrite" strings`);
+    }
+    try {
+      return { pattern: new RegExp(entry.pattern, "gi"), rewrite: entry.rewrite };
+    } catch (err) {
+      throw new PersonaError(`${source}: banned[${i}] pattern is invalid (${err.message})`);
+    }
+  });
+
+  const fallbacks = {};
+  for (const key of FALLBACK_KEYS) {
+    const value = raw.fallbacks?.[key];
+    if (typeof value !== "string" || !value.trim()) throw new PersonaError(`${source}: "fallbacks.${key}" is required`);
+    fallbacks[key] = value.trim();
+  }
+
+  let loreCoreFiles = null;
+  if (raw.loreCoreFiles != null) {
+    if (!Array.isArray(raw.loreCoreFiles) || !raw.loreCoreFiles.every((f) => typeof f === "string")) {
+      throw new PersonaError(`${source}: "loreCoreFiles" must be an array of file names`);
+    }
+    loreCoreFiles = raw.loreCoreFiles;
+  }
+
+  const prompt = language ? `${systemPrompt}\n\n${language.title}:\n${language.rules.map((r) => `- ${r}`).join("\n")}` : systemPrompt;
+
+  return {
+    id,
+    name,
+    prompt,
+    language,
+    banned,
+    fallbacks,
+    // Relative lore directories resolve against the persona file; none means
+    // the deployment's default MEM_DIR.
+    loreDir: raw.loreDir ? path.resolve(baseDir, String(raw.loreDir)) : null,
+    loreCoreFiles,
+  };
+}
+
+export function rewriteBanned(persona, reply) {
+  let out = String(reply || "").trim();
+  for (const { pattern, rewrite } of persona.banned) out = out.replace(pattern, rewrite);
+  return out.replace(/[ \t]{2,}/g, " ").trim();
+}
+
+// Every *.json in `dir` is a persona. A broken file is reported and skipped;
+// only a missing default is fatal.
+export function loadPersonas({ dir, defaultId }) {
+  const byId = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+  } catch (err) {
+    throw new PersonaError(`Persona directory ${dir} is unreadable: ${err.message}`);
+  }
+
+  for (const file of files) {
+    const source = path.join(dir, file);
+    try {
+      const persona = validatePersona(JSON.parse(fs.readFileSync(source, "utf8")), { source: file, baseDir: dir });
+      if (byId.has(persona.id)) throw new PersonaError(`${file}: persona id "${persona.id}" is already defined`);
+      byId.set(persona.id, persona);
+    } catch (err) {
+      console.error("PERSONA SKIPPED:", err?.message || err);
+    }
+  }
+
+  const fallback = byId.get(defaultId);
+  if (!fallback) throw new PersonaError(`Default persona "${defaultId}" was not found in ${dir}`);
+
+  return {
+    default: fallback,
+    has: (id) => byId.has(id),
+    get: (id) => byId.get(id) || fallback,
+    list: () => [...byId.values()],
+  };
+}
@@ -0,0 +1,134 @@
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const MIN_TRUNCATED_TOKENS = 24;
+
+function heuristicCount(text) {
+  const t = String(text || "");
+  if (!t) return 0;
+  const words = t.split(/\s+/).filter(Boolean).length;
+  return Math.max(Math.ceil(t.length / 4), Math.ceil(words * 1.3));
+}
+
+export async function createTokenCounter(kind = "o200k") {
+  const k = String(kind || "").trim().toLowerCase();
+  const encodings = { o200k: "o200k_base", cl100k: "cl100k_base" };
+
+  if (encodings[k]) {
+    try {
+      const mod = await import(`gpt-tokenizer/encoding/${encodings[k]}`);
+      return { name: k, count: (text) => (text ? mod.countTokens(String(text)) : 0) };
+    } catch (err) {
+      console.error(`Tokenizer "${k}" unavailable, using heuristic counts:`, err?.message || err);
+    }
+  } else if (k !== "heuristic") {
+    console.error(`Unknown TOKENIZER "${k}", using heuristic counts`);
+  }
+
+  return { name: "heuristic", count: heuristicCount };
+}
+
+function renderSection(section, units) {
+  if (!units.length) return "";
+  return `\n\n${section.title}:\n${units.join(section.joiner ?? "\n")}\n`;
+}
+
+function truncateToTokens(text, tokens, count) {
+  const t = String(text || "");
+  const total = count(t);
+  if (total <= tokens) return t;
+  let cut = t.slice(0, Math.floor((t.length * tokens) / total));
+  while (cut && count(cut) > tokens) cut = cut.slice(0, Math.floor(cut.length * 0.9));
+  const lastStop = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("! "), cut.lastIndexOf("? "), cut.lastIndexOf("\n"));
+  return (lastStop > cut.length / 2 ? cut.slice(0, lastStop + 1) : cut).trim();
+}
+
+// Sections render in the order given; when the prompt is over budget the
+// section with the highest `priority` number gives up units first.
+export function assemblePrompt({
+  base,
+  sections = [],
+  history = [],
+  historyPriority = 5,
+  minHistoryMessages = 4,
+  userMessage,
+  contextTokens,
+  replyTokens,
+  budgetTokens,
+  count,
+}) {
+  const limit = Math.max(0, Math.min(contextTokens - replyTokens, budgetTokens || Infinity));
+
+  const parts = sections.map((s) => {
+    const units = (s.units || []).map((u) => String(u || "").trim()).filter(Boolean);
+    const tokens = count(renderSection(s, units));
+    return { section: s, units, tokens, originalTokens: tokens, droppedUnits: 0, truncated: false };
+  });
+
+  const historyPart = {
+    section: { name: "history", priority: historyPriority, dropFrom: "start", minUnits: minHistoryMessages },
+    units: history.slice(),
+    tokens: 0,
+    originalTokens: 0,
+    droppedUnits: 0,
+    truncated: false,
+  };
+  const countMessage = (m) => count(m.content) + MESSAGE_OVERHEAD_TOKENS;
+  historyPart.tokens = historyPart.originalTokens = history.reduce((n, m) => n + countMessage(m), 0);
+
+  const baseTokens = count(base) + MESSAGE_OVERHEAD_TOKENS;
+  const userTokens = count(userMessage) + MESSAGE_OVERHEAD_TOKENS;
+  const all = [...parts, historyPart];
+  const total = () => baseTokens + userTokens + all.reduce((n, p) => n + p.tokens, 0);
+
+  while (total() > limit) {
+    const candidate = all
+      .filter((p) => p.units.length > (p.section.minUnits ?? 0) && p.section.priority !== undefined)
+      .sort((a, b) => b.section.priority - a.section.priority)[0];
+    if (!candidate) break;
+
+    const overflow = total() - limit;
+
+    if (candidate === historyPart) {
+      const dropped = historyPart.units.shift();
+      historyPart.tokens -= countMessage(dropped);
+      historyPart.droppedUnits++;
+      continue;
+    }
+
+    if (candidate.units.length === 1 && candidate.tokens - overflow >= MIN_TRUNCATED_TOKENS && !candidate.truncated) {
+      candidate.units = [truncateToTokens(candidate.units[0], candidate.tokens - overflow, count)];
+      candidate.truncated = true;
+    } else if (candidate.section.dropFrom === "start") {
+      candidate.units.shift();
+      candidate.droppedUnits++;
+    } else {
+      candidate.units.pop();
+      candidate.droppedUnits++;
+    }
+    candidate.tokens = count(renderSection(candidate.section, candidate.units));
+  }
+
+  const system = base + parts.map((p) => renderSection(p.section, p.units)).join("");
+
+  return {
+    system,
+    history: historyPart.units,
+    usage: {
+      limit,
+      contextTokens,
+      replyTokens,
+      total: total(),
+      overBudget: total() > limit,
+      sections: [
+        { name: "base", tokens: baseTokens, originalTokens: baseTokens, droppedUnits: 0, truncated: false },
+        ...all.map((p) => ({
+          name: p.section.name,
+          tokens: p.tokens,
+          originalTokens: p.originalTokens,
+          droppedUnits: p.droppedUnits,
+          truncated: p.truncated,
+        })),
+        { name: "userMessage", tokens: userTokens, originalTokens: userTokens, droppedUnits: 0, truncated: false },
+      ],
+    },
+  };
+}
@@ -0,0 +1,192 @@
+import { rewriteBanned } from "./persona.js";
+
+const INTERROGATIVE_START = /^(who|what|when|where|why|how|can|could|would|should|do|did|does|is|are|am|will)\b/i;
+
+const INVITATIONS =
+  /\b(?:what would you like|would you like|what do you want|what’s on your mind|what is on your mind|what brought you here|tell me|you want to|you wanna|do you|can you|could you|would you|should you)\b/i;
+
+// "Do what feels right." and "What a day." open like questions but are
+// statements; only an unterminated sentence is judged by its first word.
+export function classifySentence(text) {
+  const t = String(text || "").trim();
+  if (!t) return "empty";
+  if (t.includes("?")) return "question";
+  if (INTERROGATIVE_START.test(t) && !/[.!…]["”’)]*$/.test(t)) return "question";
+  if (INVITATIONS.test(t)) return "invitation";
+  return "statement";
+}
+
+export function splitSentences(text) {
+  return String(text || "")
+    .split(/\n+/)
+    .flatMap((line) => line.split(/(?<=[.!?])\s+/))
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function hasQuestion(text) {
+  return splitSentences(text).some((s) => classifySentence(s) !== "statement");
+}
+
+// Drops sentences line by line so paragraph breaks survive.
+function dropSentences(text, shouldDrop) {
+  const dropped = [];
+  const lines = String(text || "")
+    .trim()
+    .split("\n")
+    .map((line) => {
+      const kept = line
+        .trim()
+        .split(/(?<=[.!?])\s+/)
+        .map((s) => s.trim())
+        .filter((s) => {
+          if (!s || !shouldDrop(s)) return Boolean(s);
+          dropped.push(s);
+          return false;
+        });
+      return kept.join(" ").replace(/\s{2,}/g, " ").trim();
+    });
+  return { text: lines.join("\n").replace(/\n{3,}/g, "\n\n").trim(), dropped };
+}
+
+// Each stage takes (text, ctx) and returns { text, change } where `change` is
+// null when nothing was touched. `retryNote` is the instruction used when the
+// stage's edits force a regeneration.
+export const REPLY_STAGES = {
+  banned: () => ({
+    name: "banned",
+    apply(text, ctx) {
+      const hits = ctx.persona.banned.filter(({ pattern }) => {
+        pattern.lastIndex = 0;
+        return pattern.test(text);
+      });
+      const out = rewriteBanned(ctx.persona, text);
+      return { text: out, change: hits.length ? { rewrites: hits.map((h) => h.rewrite) } : null };
+    },
+    retryNote: "Do not use service-desk phrasing or describe yourself as an assistant.",
+  }),
+
+  // "strict" also removes soft invitations ("Tell me more."), "lenient" only
+  // real questions.
+  questions: (mode = "strict") => ({
+    name: "questions",
+    apply(text, ctx) {
+      if (ctx.allowQuestion) return { text, change: null };
+      const { text: out, dropped } = dropSentences(text, (s) => {
+        const kind = classifySentence(s);
+        return kind === "question" || (mode === "strict" && kind === "invitation");
+      });
+      return { text: out, change: dropped.length ? { dropped } : null };
+    },
+    retryNote: "Do not ask any question or invite the user to say more. End on a warm statement.",
+  }),
+
+  leaks: () => ({
+    name: "leaks",
+    apply(text, ctx) {
+      if (!ctx.guard) return { text, change: null };
+      const leaks = ctx.guard.detect(text);
+      if (!leaks.length) return { text, change: null };
+      return { text: ctx.guard.redact(text), change: { leaks } };
+    },
+    alwaysRetry: true,
+    retryNote:
+      "Your previous draft exposed private guidance (section names, memory tags like [sure] or {sad:2}, lore file names, or wording from your instructions). Write it in plain, natural speech with none of that.",
+  }),
+};
+
+export const DEFAULT_REPLY_STAGES = "banned,questions=strict,leaks";
+
+// Accepts "banned,questions=lenient,leaks": stage order is the order listed and
+// a stage left out is skipped (unknown names are ignored with a warning).
+export function parseReplyStages(spec) {
+  const stages = [];
+  for (const part of String(spec || DEFAULT_REPLY_STAGES).split(",")) {
+    const [name, option] = part.split("=").map((x) => x?.trim());
+    if (!name) continue;
+    if (!REPLY_STAGES[name] || (name === "questions" && option && !["strict", "lenient"].includes(option))) {
+      console.error(`Ignoring reply stage "${part.trim()}"`);
+      continue;
+    }
+    stages.push(REPLY_STAGES[name](option || undefined));
+  }
+  return stages;
+}
+
+export function createReplyPipeline({ stages, minKeepRatio = 0.4 }) {
+  function apply(text, ctx) {
+    let out = String(text || "").trim();
+    const changes = [];
+    for (const stage of stages) {
+      const result = stage.apply(out, ctx);
+      out = result.text;
+      if (result.change) changes.push({ stage: stage.name, ...result.change });
+    }
+    return { text: out.replace(/\n{3,}/g, "\n\n"), changes };
+  }
+
+  return {
+    // `degraded` means the stages removed so much that the reply should be
+    // regenerated rather than sent; `retryNotes` say what to avoid next time.
+    run(text, ctx) {
+      const original = String(text || "").trim();
+      const { text: out, changes } = apply(original, ctx);
+      const changed = new Set(changes.map((c) => c.stage));
+      const degraded = Boolean(original) && (!out || out.length < original.length * minKeepRatio);
+      const retry = degraded || stages.some((s) => s.alwaysRetry && changed.has(s.name));
+      return {
+        text: out,
+        changes,
+        degraded,
+        retry,
+        retryNotes: stages.filter((s) => changed.has(s.name) && s.retryNote).map((s) => s.retryNote),
+      };
+    },
+
+    // Applies the same stages sentence by sentence as tokens arrive.
+    stream(ctx) {
+      let buffer = "";
+      let pendingSep = "";
+
+      // A dropped sentence still ends its line, the way run() leaves an
+      // empty line behind; at most one blank line is kept.
+      function emit(segment, sepAfter) {
+        const s = apply(segment, ctx).text;
+        if (!s) {
+          if (pendingSep && sepAfter.includes("\n")) {
+            const breaks = (pendingSep.includes("\n") ? pendingSep.length : 0) + sepAfter.length;
+            pendingSep = "\n".repeat(Math.min(2, breaks));
+          }
+          return "";
+        }
+        const out = pendingSep + s;
+        pendingSep = sepAfter;
+        return out;
+      }
+
+      return {
+        push(token) {
+          buffer += String(token || "");
+          let out = "";
+          const boundary = /([.!?])([ \t]*\n[\s]*|[ \t]+)|(\n+)/g;
+          let last = 0;
+          let match;
+          while ((match = boundary.exec(buffer))) {
+            const endOfSegment = match[1] ? match.index + 1 : match.index;
+            const breaks = (match[3] || match[2]).split("\n").length - 1;
+            const sep = breaks ? "\n".repeat(Math.min(2, breaks)) : " ";
+            out += emit(buffer.slice(last, endOfSegment), sep);
+            last = match.index + match[0].length;
+          }
+          buffer = buffer.slice(last);
+          return out;
+        },
+        flush() {
+          const out = emit(buffer, "");
+          buffer = "";
+          return out;
+        },
+      };
+    },
+  };
+}
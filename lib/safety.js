@@ -0,0 +1,123 @@
+import fs from "fs";
+
+export const RISK_LEVELS = ["none", "low", "medium", "high"];
+
+const riskRank = (r) => Math.max(0, RISK_LEVELS.indexOf(r));
+
+const LOCAL_SIGNALS = [
+  ["high", "self_harm", /\b(?:kill|killing|hurt|hurting|harm|harming|cut|cutting|burn|burning) (?:myself|my ?self)\b/i],
+  ["high", "suicide", /\bsuicid(?:e|al)\b/i],
+  ["high", "end_life", /\b(?:end|ending|take|taking) (?:my|my own) life\b/i],
+  ["high", "end_it", /\b(?:end it all|end things|ending it all)\b/i],
+  ["high", "want_to_die", /\b(?:want(?:ed)?|wanna|going) to die\b|\bwish (?:i|I) (?:was|were) dead\b|\bbetter off dead\b/i],
+  ["high", "not_alive", /\bdon'?t want to (?:be alive|live anymore|exist anymore|wake up)\b/i],
+  ["high", "overdose", /\b(?:overdose|od) on\b|\btake all (?:my|the) pills\b/i],
+  ["high", "burden", /\b(?:everyone|they|you|my family)(?: would|'d) be better off without me\b/i],
+  ["medium", "no_reason", /\bno (?:reason|point) (?:to|in) (?:live|living|going on|being here)\b/i],
+  ["medium", "cant_go_on", /\b(?:can'?t|cannot) (?:go on|take (?:it|this) anymore|do this anymore|keep going)\b/i],
+  ["medium", "disappear", /\b(?:disappear forever|not be here anymore|never wake up)\b/i],
+  ["medium", "hopeless", /\b(?:hopeless|worthless|nobody would (?:miss|care about) me)\b/i],
+  ["low", "give_up", /\bgive up on (?:life|everything)\b/i],
+];
+
+// Figures of speech that would otherwise trip the patterns above.
+const FIGURATIVE = [
+  /\b(?:want|going) to die (?:of|from) (?:embarrassment|laughter|laughing|boredom|cringe)\b/gi,
+  /\bto die for\b/gi,
+  /\bdying to\b/gi,
+  /\bsuicide (?:squad|doors?|mission|run|pact movie)\b/gi,
+];
+
+export function classifyRiskLocally(text) {
+  let t = String(text || "");
+  for (const re of FIGURATIVE) t = t.replace(re, " ");
+
+  let risk = "none";
+  const signals = [];
+  for (const [level, name, re] of LOCAL_SIGNALS) {
+    if (!re.test(t)) continue;
+    signals.push(name);
+    if (riskRank(level) > riskRank(risk)) risk = level;
+  }
+  return { risk, signals };
+}
+
+// Explicit language found locally is never downgraded by the model; otherwise
+// the higher of the two opinions wins.
+export function combineRisk(local, model) {
+  if (local === "high") return "high";
+  return riskRank(model) > riskRank(local) ? model : local;
+}
+
+export const DEFAULT_SAFETY_RESOURCES = {
+  "en-US": {
+    emergency: "911",
+    resources: [
+      { name: "988 Suicide & Crisis Lifeline", contact: "call or text 988" },
+      { name: "Crisis Text Line", contact: "text HOME to 741741" },
+    ],
+  },
+  "en-CA": {
+    emergency: "911",
+    resources: [{ name: "9-8-8 Suicide Crisis Helpline", contact: "call or text 988" }],
+  },
+  "en-GB": {
+    emergency: "999",
+    resources: [
+      { name: "Samaritans", contact: "call 116 123" },
+      { name: "Shout", contact: "text SHOUT to 85258" },
+    ],
+  },
+  "en-AU": {
+    emergency: "000",
+    resources: [{ name: "Lifeline", contact: "call 13 11 14" }],
+  },
+  default: {
+    emergency: "your local emergency number",
+    resources: [{ name: "Find A Helpline", contact: "findahelpline.com" }],
+  },
+};
+
+// `file` is JSON with the same shape as DEFAULT_SAFETY_RESOURCES; its entries
+// replace or add to the defaults per locale.
+export function createSafetyResources({ file, defaultLocale = "en-US" } = {}) {
+  let table = { ...DEFAULT_SAFETY_RESOURCES };
+  if (file) {
+    try {
+      table = { ...table, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+    } catch (err) {
+      console.error("SAFETY_RESOURCES_FILE unreadable, using built-in hotlines:", err?.message || err);
+    }
+  }
+
+  function resolve(locale) {
+    const wanted = String(locale || "").trim() || defaultLocale;
+    const exact = Object.keys(table).find((k) => k.toLowerCase() === wanted.toLowerCase());
+    if (exact) return exact;
+
+    const [language, region] = wanted.split(/[-_]/);
+    if (region) {
+      const sameRegion = Object.keys(table).find((k) => k.split("-")[1]?.toUpperCase() === region.toUpperCase());
+      if (sameRegion) return sameRegion;
+    } else if (language.toLowerCase() === defaultLocale.split("-")[0].toLowerCase() && table[defaultLocale]) {
+      return defaultLocale;
+    }
+    return "default";
+  }
+
+  return {
+    forLocale(locale) {
+      const key = resolve(locale);
+      const entry = table[key] || table.default;
+      const list = (entry.resources || []).map((r) => `${r.name}: ${r.contact}`);
+      return {
+        locale: key,
+        resources: entry.resources || [],
+        emergency: entry.emergency || "your local emergency number",
+        text:
+          `If you might act on these thoughts, please reach out right now — ${list.join("; ")}. ` +
+          `If you are in immediate danger, call ${entry.emergency || "your local emergency number"}.`,
+      };
+    },
+  };
+}
@@ -0,0 +1,237 @@
+export const SELF_MODEL_LISTS = ["doMore", "doLess", "recurringThemes", "calmingTools"];
+
+const MAX_TRAITS_KEPT = 10;
+const MAX_TRAITS_SHOWN = 6;
+const MAX_LIST_KEPT = 12;
+const MAX_LIST_SHOWN = 5;
+// A new trait has to come back on later days before it can be trusted more.
+const NEW_TRAIT_CAP = 0.6;
+const NEW_ITEM_SCORE = 0.5;
+const REINFORCE = 0.35;
+const DROP_BELOW = 0.2;
+
+const round = (n) => Math.round(n * 100) / 100;
+const clamp01 = (n) => Math.max(0, Math.min(1, Number.isFinite(Number(n)) ? Number(n) : 0));
+
+function keyOf(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Older states only have the plain lists; their items start at a middling score.
+function evidenceFor(model, field, now) {
+  const stored = model.evidence?.[field];
+  if (Array.isArray(stored)) return stored.map((e) => ({ ...e }));
+  return (model[field] || [])
+    .filter((text) => typeof text === "string" && text.trim())
+    .map((text) => ({ text: text.trim(), score: NEW_ITEM_SCORE, seen: 1, lastSeen: now }));
+}
+
+function normalizeTraits(model, now) {
+  return (model.traits || [])
+    .filter((t) => String(t?.name || "").trim())
+    .map((t) => ({
+      name: String(t.name).trim(),
+      confidence: clamp01(t.confidence),
+      seen: t.seen || 1,
+      lastSeen: t.lastSeen || now,
+    }));
+}
+
+// The lists the prompt reads are derived from the scored evidence behind them.
+function withViews(model, traits, evidence) {
+  const out = {
+    ...model,
+    traits: traits.sort((a, b) => b.confidence - a.confidence).slice(0, MAX_TRAITS_KEPT),
+    evidence: {},
+  };
+  for (const field of SELF_MODEL_LISTS) {
+    const kept = evidence[field].sort((a, b) => b.score - a.score).slice(0, MAX_LIST_KEPT);
+    out.evidence[field] = kept;
+    out[field] = kept.slice(0, MAX_LIST_SHOWN).map((e) => e.text);
+  }
+  return out;
+}
+
+// Confidence halves every `halfLifeDays` without reinforcement, and anything
+// that fades below DROP_BELOW is forgotten.
+function decay(value, fromMs, toMs, halfLifeDays) {
+  const days = Math.max(0, (toMs - (fromMs || toMs)) / 86400000);
+  return value * 0.5 ** (days / halfLifeDays);
+}
+
+// Folds one day's proposed update into the model instead of replacing it.
+// Traits and items the update repeats are reinforced, a trait it rates lower
+// is weakened halfway towards that rating, and everything else only decays,
+// so one bad or empty response cannot wipe what was learned.
+export function mergeSelfModel(model, update, { now = Date.now(), halfLifeDays = 30 } = {}) {
+  const since = model.decayedAt || model.updatedAt || now;
+  const traits = normalizeTraits(model, now).map((t) => ({ ...t, confidence: decay(t.confidence, since, now, halfLifeDays) }));
+  const evidence = {};
+  for (const field of SELF_MODEL_LISTS) {
+    evidence[field] = evidenceFor(model, field, now).map((e) => ({ ...e, score: decay(e.score, since, now, halfLifeDays) }));
+  }
+
+  for (const proposed of update?.traits || []) {
+    const name = String(proposed?.name || "").trim();
+    if (name.length < 4) continue;
+    const c = clamp01(proposed.confidence ?? 0.6);
+    const existing = traits.find((t) => keyOf(t.name) === keyOf(name));
+    if (!existing) {
+      traits.push({ name, confidence: Math.min(c, NEW_TRAIT_CAP), seen: 1, lastSeen: now });
+      continue;
+    }
+    existing.confidence =
+      c >= existing.confidence
+        ? existing.confidence + (1 - existing.confidence) * REINFORCE
+        : existing.confidence + (c - existing.confidence) / 2;
+    existing.seen += 1;
+    existing.lastSeen = now;
+  }
+
+  for (const field of SELF_MODEL_LISTS) {
+    for (const raw of update?.[field] || []) {
+      const text = String(raw || "").trim();
+      if (!text) continue;
+      const existing = evidence[field].find((e) => keyOf(e.text) === keyOf(text));
+      if (!existing) {
+        evidence[field].push({ text, score: NEW_ITEM_SCORE, seen: 1, lastSeen: now });
+        continue;
+      }
+      existing.score += (1 - existing.score) * REINFORCE;
+      existing.seen += 1;
+      existing.lastSeen = now;
+    }
+  }
+
+  const keepTraits = traits.filter((t) => t.confidence >= DROP_BELOW).map((t) => ({ ...t, confidence: round(t.confidence) }));
+  for (const field of SELF_MODEL_LISTS) {
+    evidence[field] = evidence[field].filter((e) => e.score >= DROP_BELOW).map((e) => ({ ...e, score: round(e.score) }));
+  }
+  return { ...withViews(model, keepTraits, evidence), decayedAt: now };
+}
+
+// Combines two accounts' models when an anonymous history is merged into a
+// signed-in one: the stronger rating of each trait or item wins.
+export function combineSelfModels(target, source, { now = Date.now() } = {}) {
+  const traits = new Map();
+  for (const t of [...normalizeTraits(target, now), ...normalizeTraits(source, now)]) {
+    const prev = traits.get(keyOf(t.name));
+    if (!prev || t.confidence > prev.confidence) traits.set(keyOf(t.name), t);
+  }
+  const evidence = {};
+  for (const field of SELF_MODEL_LISTS) {
+    const items = new Map();
+    for (const e of [...evidenceFor(target, field, now), ...evidenceFor(source, field, now)]) {
+      const prev = items.get(keyOf(e.text));
+      if (!prev || e.score > prev.score) items.set(keyOf(e.text), e);
+    }
+    evidence[field] = [...items.values()];
+  }
+  return withViews(target, [...traits.values()], evidence);
+}
+
+// What a revision stores and a rollback restores: the learned content only,
+// not the daily-job bookkeeping (dayKey, failures).
+export function selfModelSnapshot(model) {
+  const snap = {
+    traits: (model.traits || []).map((t) => ({ ...t })),
+    evidence: {},
+  };
+  for (const field of SELF_MODEL_LISTS) {
+    snap[field] = [...(model[field] || [])];
+    snap.evidence[field] = (model.evidence?.[field] || []).map((e) => ({ ...e }));
+  }
+  return snap;
+}
+
+export function diffSelfModel(from, to) {
+  const before = new Map((from?.traits || []).map((t) => [keyOf(t.name), t]));
+  const after = new Map((to?.traits || []).map((t) => [keyOf(t.name), t]));
+  const diff = {
+    traits: {
+      added: [...after.entries()].filter(([k]) => !before.has(k)).map(([, t]) => ({ name: t.name, confidence: t.confidence })),
+      removed: [...before.entries()].filter(([k]) => !after.has(k)).map(([, t]) => ({ name: t.name, confidence: t.confidence })),
+      changed: [...after.entries()]
+        .filter(([k, t]) => before.has(k) && before.get(k).confidence !== t.confidence)
+        .map(([k, t]) => ({ name: t.name, from: before.get(k).confidence, to: t.confidence })),
+    },
+  };
+  for (const field of SELF_MODEL_LISTS) {
+    const a = new Set((from?.[field] || []).map(keyOf));
+    const b = new Set((to?.[field] || []).map(keyOf));
+    diff[field] = {
+      added: (to?.[field] || []).filter((x) => !a.has(keyOf(x))),
+      removed: (from?.[field] || []).filter((x) => !b.has(keyOf(x))),
+    };
+  }
+  return diff;
+}
+
+export function viewSelfModel(model) {
+  return {
+    traits: (model.traits || []).slice(0, MAX_TRAITS_SHOWN).map(({ name, confidence }) => ({ name, confidence })),
+    ...Object.fromEntries(SELF_MODEL_LISTS.map((f) => [f, model[f] || []])),
+  };
+}
+
+const isObject = (v) => Boolean(v) && typeof v === "object" && !Array.isArray(v);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// What changed between two snapshots, looking two levels deep (a self-model's
+// evidence lists, a self-narrative's lines); null marks a key that is gone.
+function changesBetween(from, to, depth = 2) {
+  const changes = {};
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (!(key in to)) changes[key] = null;
+    else if (depth > 1 && isObject(from[key]) && isObject(to[key])) {
+      const inner = changesBetween(from[key], to[key], depth - 1);
+      if (Object.keys(inner).length) changes[key] = inner;
+    } else if (!same(from[key], to[key])) changes[key] = to[key];
+  }
+  return changes;
+}
+
+function applyChanges(snapshot, changes, depth = 2) {
+  const out = { ...snapshot };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) delete out[key];
+    else if (depth > 1 && isObject(value) && isObject(out[key])) out[key] = applyChanges(out[key], value, depth - 1);
+    else out[key] = value;
+  }
+  return out;
+}
+
+// Only the oldest kept revision holds a full snapshot; the others hold the
+// `changes` since the one before. This rebuilds every revision's snapshot.
+// Revisions saved with a full snapshot are read as they are.
+export function expandRevisions(list) {
+  let snapshot = {};
+  return list.map(({ changes, ...revision }) => {
+    snapshot = revision.snapshot || applyChanges(snapshot, changes || {});
+    return { ...revision, snapshot };
+  });
+}
+
+// Revisions are numbered per kind and capped at `max`, oldest first out. A
+// snapshot identical to the latest one (or to `empty` when there is none yet)
+// is not recorded again. Returns the new revision with its full snapshot.
+export function appendRevision(list, snapshot, meta, { max, empty = null }) {
+  const expanded = expandRevisions(list);
+  const last = expanded[expanded.length - 1];
+  const previous = last ? last.snapshot : empty;
+  if (previous && same(previous, snapshot)) return null;
+  const revision = { rev: (last?.rev || 0) + 1, at: Date.now(), ...meta };
+  list.push(last ? { ...revision, changes: changesBetween(last.snapshot, snapshot) } : { ...revision, snapshot });
+  if (list.length > max) {
+    // The new oldest revision becomes the full one.
+    const drop = list.length - max;
+    const { changes, ...oldest } = list[drop];
+    oldest.snapshot = drop < expanded.length ? expanded[drop].snapshot : snapshot;
+    list.splice(0, drop + 1, oldest);
+  }
+  return { ...revision, snapshot };
+}
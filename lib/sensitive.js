@@ -0,0 +1,162 @@
+// Local, rule-based detection of data that should not end up in long-term
+// memory. Detectors run in order; when two matches overlap the earlier detector wins.
+const KEY_PHRASE = (words, connector = "(?:is|was|:|=|#)?") => `(?<=\\b(?:${words})\\s*${connector}\\s*)`;
+
+const DETECTORS = [
+  {
+    type: "card",
+    label: "card number",
+    re: /\b(?:\d[ -]?){12,18}\d\b/g,
+    valid: (m) => luhn(m.replace(/\D/g, "")),
+  },
+  { type: "gov_id", label: "ID number", re: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    type: "gov_id",
+    label: "ID number",
+    re: new RegExp(
+      `${KEY_PHRASE("ssn|social security(?: number)?|passport(?: number| no\\.?)?|national id(?: number)?|driver'?s licen[cs]e(?: number)?")}(?=[a-z-]*\\d)[a-z0-9-]{5,}`,
+      "gi"
+    ),
+  },
+  {
+    type: "financial",
+    label: "bank details",
+    re: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+  },
+  {
+    type: "financial",
+    label: "bank details",
+    re: new RegExp(`${KEY_PHRASE("(?:account|routing|sort code|iban)(?: number| no\\.?)?")}\\d[\\d -]{4,}\\d`, "gi"),
+  },
+  {
+    type: "password",
+    label: "password",
+    re: new RegExp(`${KEY_PHRASE("password|passcode|passwd|pin(?: code)?|api key|secret key", "(?:is|was|:|=)")}\\S+`, "gi"),
+  },
+  { type: "email", label: "email address", re: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi },
+  {
+    type: "phone",
+    label: "phone number",
+    re: /(?<!\d[ .-]?)(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?)?\d{2,5}[ .-]?\d{3,4}(?:[ .-]?\d{3,4})?\b(?![ .-]?\d)/g,
+    valid: (m) => {
+      const digits = m.replace(/\D/g, "").length;
+      return digits >= 9 && digits <= 15;
+    },
+  },
+  {
+    type: "address",
+    label: "street address",
+    re: /\b\d{1,5}\s+(?:[A-Z][A-Za-z'-]*\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle)\b\.?(?:,?\s*(?:Apt|Apartment|Unit|Suite|#)\s*\w+)?/g,
+  },
+  {
+    type: "address",
+    label: "street address",
+    re: new RegExp(`${KEY_PHRASE("live at|living at|address")}\\d{1,5}\\s+[^.,!?\\n]{2,60}`, "gi"),
+  },
+  // Health details have no span worth masking, so they are refused or allowed
+  // as a whole and never scrubbed from conversation history.
+  {
+    type: "health",
+    label: "health detail",
+    scrub: false,
+    re: /\b(?:diagnos(?:ed|is)|prescri(?:bed|ption)|medications?|my (?:therapist|psychiatrist)|chemo(?:therapy)?|hiv|cancer|diabetes|bipolar|schizophreni\w*|ptsd|adhd|pregnan\w*|miscarriage|abortion|antidepressants?|insulin|surgery|rehab|overdose)\b/gi,
+  },
+];
+
+export const SENSITIVE_TYPES = [...new Set(DETECTORS.map((d) => d.type))];
+
+export const DEFAULT_SENSITIVE_POLICY = {
+  card: "refuse",
+  gov_id: "refuse",
+  financial: "refuse",
+  password: "refuse",
+  email: "redact",
+  phone: "redact",
+  address: "redact",
+  health: "refuse",
+};
+
+const ACTIONS = new Set(["allow", "redact", "refuse"]);
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+// Accepts "phone=allow,health=redact" (unknown types or actions are ignored with a warning).
+export function parseSensitivePolicy(spec) {
+  const policy = { ...DEFAULT_SENSITIVE_POLICY };
+  for (const part of String(spec || "").split(",")) {
+    const [type, action] = part.split("=").map((x) => x?.trim().toLowerCase());
+    if (!type) continue;
+    if (!(type in policy) || !ACTIONS.has(action)) {
+      console.error(`Ignoring sensitive-data policy "${part.trim()}"`);
+      continue;
+    }
+    policy[type] = action;
+  }
+  return policy;
+}
+
+export function detectSensitive(text) {
+  const t = String(text || "");
+  const found = [];
+
+  for (const d of DETECTORS) {
+    d.re.lastIndex = 0;
+    for (const m of t.matchAll(d.re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (d.valid && !d.valid(m[0])) continue;
+      if (found.some((f) => start < f.end && end > f.start)) continue;
+      found.push({ type: d.type, label: d.label, scrub: d.scrub !== false, start, end });
+    }
+  }
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+function mask(text, findings) {
+  let out = "";
+  let at = 0;
+  for (const f of findings) {
+    out += `${text.slice(at, f.start)}[${f.label}]`;
+    at = f.end;
+  }
+  return out + text.slice(at);
+}
+
+export function createSensitiveFilter(policy = DEFAULT_SENSITIVE_POLICY) {
+  const actionFor = (type) => policy[type] || "allow";
+
+  return {
+    policy,
+
+    // For text about to become a memory: refuse it outright or mask the
+    // matched spans, whichever the strictest finding calls for.
+    check(text) {
+      const t = String(text || "");
+      const findings = detectSensitive(t).filter((f) => actionFor(f.type) !== "allow");
+      const types = [...new Set(findings.map((f) => f.type))];
+      if (findings.some((f) => actionFor(f.type) === "refuse")) return { action: "refuse", text: "", types };
+      if (findings.length) return { action: "redact", text: mask(t, findings), types };
+      return { action: "allow", text: t, types };
+    },
+
+    // For conversation text kept at rest: mask every scrubbable match whose
+    // type is not allowed by the policy.
+    scrub(text) {
+      const t = String(text || "");
+      const findings = detectSensitive(t).filter((f) => f.scrub && actionFor(f.type) !== "allow");
+      return { text: findings.length ? mask(t, findings) : t, count: findings.length };
+    },
+  };
+}
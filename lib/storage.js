@@ -0,0 +1,166 @@
+import fs from "fs";
+import path from "path";
+
+export function userFileName(id) {
+  const safe = Buffer.from(String(id)).toString("base64").replace(/[/+=]/g, "_");
+  return `${safe}.json`;
+}
+
+// File names replace "/", "+" and "=" with "_", so decoding has to guess which
+// one each "_" was; the right guess is the one that round-trips to the same name.
+// Trailing "_" are tried as padding first: "a@b.co" and "a@b.co?" share a name.
+export function userIdFromFileName(name, maxAmbiguous = 14) {
+  const base = path.basename(String(name || ""), ".json");
+  const trailing = base.match(/_*$/)[0].length;
+
+  for (let pad = Math.min(2, trailing); pad >= 0; pad--) {
+    const body = base.slice(0, base.length - pad);
+    const slots = [];
+    for (let i = 0; i < body.length; i++) if (body[i] === "_") slots.push(i);
+    if (slots.length > maxAmbiguous) continue;
+
+    for (let mask = 0; mask < 1 << slots.length; mask++) {
+      const chars = body.split("");
+      slots.forEach((pos, bit) => {
+        chars[pos] = mask & (1 << bit) ? "+" : "/";
+      });
+      const candidate = Buffer.from(chars.join("") + "=".repeat(pad), "base64").toString("utf8");
+      if (!/^[\x20-\x7e]+$/.test(candidate)) continue;
+      if (userFileName(candidate) === `${base}.json`) return candidate;
+    }
+  }
+  return null;
+}
+
+export function createJsonStorage({ dataDir }) {
+  function fileFor(id) {
+    return path.join(dataDir, userFileName(id));
+  }
+
+  return {
+    name: "json",
+
+    load(id) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(id), "utf8"));
+      } catch {
+        return null;
+      }
+    },
+
+    save(id, state) {
+      const file = fileFor(id);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+      fs.renameSync(tmp, file);
+    },
+
+    remove(id) {
+      try {
+        fs.unlinkSync(fileFor(id));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    listIds() {
+      try {
+        return fs
+          .readdirSync(dataDir)
+          .filter((f) => f.endsWith(".json"))
+          .map((f) => userIdFromFileName(f))
+          .filter(Boolean);
+      } catch {
+        return [];
+      }
+    },
+
+    close() {},
+  };
+}
+
+export async function createSqliteStorage({ file }) {
+  const { default: Database } = await import("better-sqlite3");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  const selectUser = db.prepare("SELECT state FROM users WHERE id = ?");
+  const upsertUser = db.prepare(`
+    INSERT INTO users (id, state, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+  `);
+  const deleteUser = db.prepare("DELETE FROM users WHERE id = ?");
+  const selectIds = db.prepare("SELECT id FROM users ORDER BY id");
+
+  return {
+    name: "sqlite",
+    db,
+
+    load(id) {
+      const row = selectUser.get(String(id));
+      if (!row) return null;
+      try {
+        return JSON.parse(row.state);
+      } catch {
+        return null;
+      }
+    },
+
+    save(id, state) {
+      upsertUser.run(String(id), JSON.stringify(state), Date.now());
+    },
+
+    remove(id) {
+      return deleteUser.run(String(id)).changes > 0;
+    },
+
+    listIds() {
+      return selectIds.all().map((r) => r.id);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+export async function createStorage({ kind, dataDir, sqliteFile }) {
+  const k = String(kind || "json").trim().toLowerCase();
+  if (k === "sqlite") return createSqliteStorage({ file: sqliteFile || path.join(dataDir, "zara.sqlite") });
+  if (k !== "json") console.error(`Unknown STORAGE "${k}", falling back to json`);
+  return createJsonStorage({ dataDir });
+}
+
+export function createUserLocks() {
+  const tails = new Map();
+
+  return async function withUserLock(id, fn) {
+    const key = String(id);
+    const prev = tails.get(key) || Promise.resolve();
+    let release;
+    const mine = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = prev.then(() => mine);
+    tails.set(key, tail);
+
+    await prev;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  };
+}
@@ -0,0 +1,114 @@
+export class StructuredOutputError extends Error {
+  constructor(task, message, raw = "") {
+    super(`${task}: ${message}`);
+    this.name = "StructuredOutputError";
+    this.task = task;
+    this.raw = raw;
+  }
+}
+
+export function stripFences(raw) {
+  const t = String(raw || "").trim();
+  const fenced = t.match(/^```[a-z]*\s*\n?([\s\S]*?)\n?```$/i);
+  if (fenced) return fenced[1].trim();
+  // Models sometimes wrap the object in a sentence; keep the outermost braces.
+  const start = t.indexOf("{");
+  const end = t.lastIndexOf("}");
+  return start > 0 && end > start ? t.slice(start, end + 1) : t;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// The subset of JSON Schema the job prompts use: type, properties, required,
+// items, enum, minimum, maximum and maxItems.
+export function validateSchema(value, schema, at = "$") {
+  const errors = [];
+  const actual = typeOf(value);
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((t) => t === actual || (t === "number" && actual === "integer"))) {
+    return [`${at} should be ${types.join(" or ")}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} should be one of ${schema.enum.join(", ")}`);
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at} should be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at} should be <= ${schema.maximum}`);
+  }
+  if (actual === "object") {
+    for (const key of schema.required || []) if (!(key in value)) errors.push(`${at}.${key} is required`);
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value && value[key] !== null) errors.push(...validateSchema(value[key], sub, `${at}.${key}`));
+    }
+  }
+  if (actual === "array") {
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at} has more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(v, schema.items, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+// `responseFormat` is what the provider understands: "json_schema" sends the
+// schema itself, "json_object" only asks for JSON, anything else sends nothing.
+export function createStructuredChat({ chat, responseFormat = null, maxAttempts = 2 }) {
+  const counts = new Map();
+
+  function count(task, field, error) {
+    const c = counts.get(task) || { ok: 0, retried: 0, failed: 0, lastError: null };
+    c[field] += 1;
+    if (error) c.lastError = { at: Date.now(), error };
+    counts.set(task, c);
+  }
+
+  function formatParam(task, schema) {
+    if (responseFormat === "json_schema") {
+      return { response_format: { type: "json_schema", json_schema: { name: task, schema, strict: false } } };
+    }
+    if (responseFormat === "json_object") return { response_format: { type: "json_object" } };
+    return {};
+  }
+
+  // Resolves to the parsed, schema-valid value or throws StructuredOutputError
+  // once every attempt failed. Each retry is shown its own broken reply and
+  // what was wrong with it.
+  async function chatJson({ task, schema, messages, attempts = maxAttempts, ...params }) {
+    let convo = messages;
+    let lastError = "";
+    let raw = "";
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      raw = await chat({ task, messages: convo, ...params, ...formatParam(task, schema) });
+      let parsed;
+      try {
+        parsed = JSON.parse(stripFences(raw));
+      } catch (err) {
+        lastError = `not valid JSON (${err.message})`;
+      }
+      if (parsed !== undefined) {
+        const errors = validateSchema(parsed, schema);
+        if (!errors.length) {
+          count(task, attempt > 1 ? "retried" : "ok");
+          return parsed;
+        }
+        lastError = errors.slice(0, 5).join("; ");
+      }
+
+      convo = [
+        ...messages,
+        { role: "assistant", content: String(raw || "").slice(0, 2000) },
+        { role: "user", content: `That reply was rejected: ${lastError}. Reply again with JSON only, matching the required format.` },
+      ];
+    }
+
+    count(task, "failed", lastError);
+    throw new StructuredOutputError(task, lastError, raw);
+  }
+
+  return {
+    chatJson,
+    stats: () => Object.fromEntries(counts),
+  };
+}
@@ -0,0 +1,16 @@
+export function dot(a, b) {
+  let s = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) s += a[i] * b[i];
+  return s;
+}
+
+export function norm(a) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * a[i];
+  return Math.sqrt(s) || 1;
+}
+
+export function cosineSim(a, b) {
+  return dot(a, b) / (norm(a) * norm(b));
+}
@@ -0,0 +1,166 @@
+import { performance } from "perf_hooks";
+import { cosineSim } from "../lib/vectors.js";
+import { createMemoryIndex } from "../lib/memoryIndex.js";
+
+// Compares per-turn memory retrieval cost of the old linear scan (embeddings
+// stored on each item, missing ones embedded one by one inside the loop) with
+// the per-user vector index (batched background backfill, top-k search).
+//
+//   node scripts/bench-memory-retrieval.js --items 350 --dim 1536 --turns 20 \
+//     --missing 0.2 --new-per-turn 1 --embed-latency 120
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? Number(process.argv[i + 1]) : fallback;
+}
+
+const ITEMS = argValue("--items", 350);
+const DIM = argValue("--dim", 1536);
+const TURNS = argValue("--turns", 20);
+const MISSING = argValue("--missing", 0.2);
+const NEW_PER_TURN = argValue("--new-per-turn", 1);
+const EMBED_LATENCY_MS = argValue("--embed-latency", 120);
+const BATCH_SIZE = argValue("--batch", 32);
+const TOP_K = 12;
+
+let seed = 42;
+function random() {
+  seed = (seed * 1664525 + 1013904223) >>> 0;
+  return seed / 2 ** 32 - 0.5;
+}
+
+function randomVector() {
+  return Array.from({ length: DIM }, random);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+let embedCalls = 0;
+
+async function embedOne() {
+  embedCalls++;
+  await sleep(EMBED_LATENCY_MS);
+  return randomVector();
+}
+
+async function embedMany(texts) {
+  embedCalls++;
+  await sleep(EMBED_LATENCY_MS + texts.length);
+  return texts.map(() => randomVector());
+}
+
+function makeItem(i) {
+  return {
+    key: `other::memory ${i}`,
+    category: "other",
+    content: `memory ${i}`,
+    permanence: "sticky",
+    confidence: 0.8,
+    timesSeen: 1,
+  };
+}
+
+function initialState() {
+  const items = [];
+  for (let i = 0; i < ITEMS; i++) {
+    const item = makeItem(i);
+    item.embedding = random() + 0.5 < MISSING ? null : randomVector();
+    items.push(item);
+  }
+  return { memoryBank: { items } };
+}
+
+function percentile(values, p) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function report(label, times, extra = "") {
+  const mean = times.reduce((a, b) => a + b, 0) / times.length;
+  console.log(
+    `${label.padEnd(8)} first ${times[0].toFixed(1)} ms · mean ${mean.toFixed(1)} ms · p50 ${percentile(times, 50).toFixed(1)} ms · ` +
+      `p95 ${percentile(times, 95).toFixed(1)} ms · embed calls ${embedCalls}${extra}`
+  );
+}
+
+// The previous getRelevantMemoryLines + saveUserMemory path.
+async function linearTurn(stored, turn) {
+  const state = JSON.parse(stored);
+  const qEmb = await embedOne();
+
+  const ranked = [];
+  for (const m of state.memoryBank.items) {
+    if (!Array.isArray(m.embedding) || !m.embedding.length) m.embedding = await embedOne();
+    ranked.push({ m, sim: cosineSim(qEmb, m.embedding) });
+  }
+  ranked.sort((a, b) => b.sim - a.sim).slice(0, TOP_K);
+
+  for (let n = 0; n < NEW_PER_TURN; n++) {
+    const item = makeItem(ITEMS + turn * NEW_PER_TURN + n);
+    item.embedding = await embedOne();
+    state.memoryBank.items.push(item);
+  }
+  return JSON.stringify(state);
+}
+
+async function runLinear() {
+  embedCalls = 0;
+  let stored = JSON.stringify(initialState());
+  const times = [];
+  for (let turn = 0; turn < TURNS; turn++) {
+    const t0 = performance.now();
+    stored = await linearTurn(stored, turn);
+    times.push(performance.now() - t0);
+  }
+  report("linear", times, ` · state ${(stored.length / 1024).toFixed(0)} KB`);
+}
+
+async function runIndexed() {
+  embedCalls = 0;
+  let stored = JSON.stringify(initialState());
+  const index = createMemoryIndex({
+    embedBatch: embedMany,
+    embedKey: "bench",
+    batchSize: BATCH_SIZE,
+    loadState: () => JSON.parse(stored),
+    updateState: async (id, fn) => {
+      const state = JSON.parse(stored);
+      fn(state);
+      index.prune(state);
+      stored = JSON.stringify(state);
+    },
+  });
+
+  const times = [];
+  for (let turn = 0; turn < TURNS; turn++) {
+    const t0 = performance.now();
+    const state = JSON.parse(stored);
+    index.ensure(state);
+    const qEmb = await embedOne();
+    index.search(state, qEmb, TOP_K);
+
+    for (let n = 0; n < NEW_PER_TURN; n++) state.memoryBank.items.push(makeItem(ITEMS + turn * NEW_PER_TURN + n));
+    index.prune(state);
+    stored = JSON.stringify(state);
+    index.schedule("bench", state);
+    times.push(performance.now() - t0);
+  }
+
+  const t0 = performance.now();
+  const pending = index.schedule("bench", null);
+  if (pending) await pending;
+  const drain = performance.now() - t0;
+  const final = JSON.parse(stored);
+  const { vectors, missing } = index.stats(final);
+  report(
+    "indexed",
+    times,
+    ` · state ${(stored.length / 1024).toFixed(0)} KB · ${vectors} vectors, ${missing} missing after ${drain.toFixed(0)} ms drain`
+  );
+}
+
+console.log(
+  `${ITEMS} items × ${DIM} dims, ${Math.round(MISSING * 100)}% without embeddings, ${NEW_PER_TURN} new per turn, ` +
+    `${EMBED_LATENCY_MS} ms per embedding call, ${TURNS} turns`
+);
+await runLinear();
+await runIndexed();
@@ -0,0 +1,51 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { createJsonStorage, createSqliteStorage, userIdFromFileName } from "../lib/storage.js";
+
+dotenv.config();
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+const DEFAULT_DATA_DIR = fs.existsSync("/data") ? "/data" : path.join(process.cwd(), "data");
+const dataDir = argValue("--data-dir") || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+const sqliteFile = argValue("--sqlite") || process.env.SQLITE_FILE || path.join(dataDir, "zara.sqlite");
+const overwrite = process.argv.includes("--overwrite");
+
+const source = createJsonStorage({ dataDir });
+const target = await createSqliteStorage({ file: sqliteFile });
+
+const files = fs.readdirSync(dataDir).filter((f) => f.endsWith(".json"));
+let imported = 0;
+let skipped = 0;
+let failed = 0;
+
+for (const file of files) {
+  const id = userIdFromFileName(file);
+  if (!id) {
+    console.error(`skip ${file}: cannot recover user id from file name`);
+    failed++;
+    continue;
+  }
+
+  const state = source.load(id);
+  if (!state) {
+    console.error(`skip ${file}: unreadable JSON`);
+    failed++;
+    continue;
+  }
+
+  if (!overwrite && target.load(id)) {
+    skipped++;
+    continue;
+  }
+
+  target.save(id, state);
+  imported++;
+}
+
+target.close();
+console.log(`Imported ${imported}, skipped ${skipped} existing, failed ${failed} (from ${dataDir} into ${sqliteFile})`);
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  acceptCheckIns,
+  createCheckInIndex,
+  dueCheckIns,
+  expireCheckIns,
+  formatQuietHours,
+  inQuietHours,
+  parseQuietHours,
+} from "../lib/checkins.js";
+
+const at = (hh, mm = 0) => hh * 60 + mm;
+
+test("quiet hours parse, format and wrap past midnight", () => {
+  const night = parseQuietHours("22:00 - 7:30");
+  assert.deepEqual(night, { start: at(22), end: at(7, 30) });
+  assert.equal(formatQuietHours(night), "22:00-07:30");
+  assert.equal(inQuietHours(at(23, 59), night), true);
+  assert.equal(inQuietHours(at(0), night), true);
+  assert.equal(inQuietHours(at(7, 29), night), true);
+  assert.equal(inQuietHours(at(7, 30), night), false);
+  assert.equal(inQuietHours(at(21, 59), night), false);
+
+  const nap = parseQuietHours("13:00-14:00");
+  assert.equal(inQuietHours(at(13, 30), nap), true);
+  assert.equal(inQuietHours(at(23), nap), false);
+
+  for (const spec of ["off", "", "24:00-07:00", "22:60-07:00", "22-7"]) assert.equal(parseQuietHours(spec), null, spec);
+  assert.equal(formatQuietHours(null), "off");
+  assert.equal(inQuietHours(at(3), { start: at(8), end: at(8) }), false);
+});
+
+const proposal = (topic, dueDay, extra = {}) => ({ topic, message: `How did ${topic} go?`, dueDay, ...extra });
+
+test("accepted check-ins fall between tomorrow and the horizon", () => {
+  const accepted = acceptCheckIns(
+    [],
+    [
+      proposal("today", "2026-10-19"),
+      proposal("tomorrow", "2026-10-20"),
+      proposal("far", "2026-11-18"),
+      proposal("too far", "2026-11-19"),
+      proposal("bad day", "next week"),
+      { topic: "no message", dueDay: "2026-10-21" },
+    ],
+    { todayKey: "2026-10-19", maxPending: 5 }
+  );
+  assert.deepEqual(
+    accepted.map((c) => [c.topic, c.status]),
+    [
+      ["tomorrow", "scheduled"],
+      ["far", "scheduled"],
+    ]
+  );
+});
+
+test("accepting stops at maxPending and skips topics already pending or recent", () => {
+  const items = [
+    { topic: "Interview", dueDay: "2026-10-22", status: "scheduled" },
+    { topic: "dentist", dueDay: "2026-10-10", status: "done" },
+    { topic: "move", dueDay: "2026-09-01", status: "done" },
+  ];
+  const accepted = acceptCheckIns(
+    items,
+    [
+      proposal("interview ", "2026-10-23"),
+      proposal("dentist", "2026-10-24"),
+      proposal("move", "2026-10-25"),
+      proposal("exam", "2026-10-26", { memoryKey: "m1" }),
+      proposal("exam again", "2026-10-27", { memoryKey: "m1" }),
+      proposal("race", "2026-10-28"),
+    ],
+    { todayKey: "2026-10-19", maxPending: 3 }
+  );
+  assert.deepEqual(
+    accepted.map((c) => c.topic),
+    ["move", "exam"]
+  );
+  assert.equal(accepted[1].memoryKey, "m1");
+  assert.equal(items.length, 3);
+});
+
+test("due check-ins come oldest first and stale ones expire", () => {
+  const items = [
+    { id: "e", dueDay: "2026-10-01", status: "done" },
+    { id: "a", dueDay: "2026-10-19", status: "notified" },
+    { id: "b", dueDay: "2026-10-15", status: "scheduled" },
+    { id: "c", dueDay: "2026-10-20", status: "scheduled" },
+    { id: "d", dueDay: "2026-10-11", status: "scheduled" },
+  ];
+  assert.deepEqual(
+    dueCheckIns(items, "2026-10-19").map((i) => i.id),
+    ["d", "b", "a"]
+  );
+
+  const kept = expireCheckIns(items, "2026-10-19", { keep: 1 });
+  assert.equal(items.find((i) => i.id === "d").status, "expired");
+  assert.equal(items.find((i) => i.id === "b").status, "scheduled");
+  assert.deepEqual(
+    kept.map((i) => i.id),
+    ["a", "b", "c", "d"]
+  );
+});
+
+test("the check-in index tracks each user's earliest reachable scheduled day", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkins-"));
+  try {
+    const file = path.join(dir, "checkins.json");
+    const index = createCheckInIndex({ file });
+    assert.equal(index.exists, false);
+
+    index.update("u1", [
+      { dueDay: "2026-10-22", status: "scheduled" },
+      { dueDay: "2026-10-20", status: "scheduled", unreachable: true },
+      { dueDay: "2026-10-19", status: "notified" },
+    ]);
+    index.update("u2", [{ dueDay: "2026-10-19", status: "scheduled" }]);
+    assert.equal(index.exists, true);
+    assert.deepEqual(index.dueBy("2026-10-21"), ["u2"]);
+
+    index.remove("u2");
+    const reloaded = createCheckInIndex({ file });
+    assert.deepEqual(reloaded.dueBy("2026-10-22"), ["u1"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
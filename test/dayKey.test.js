@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addDays, dayKeyFor, formatDayBoundary, isValidTimeZone, localMinutes, parseDayBoundary } from "../lib/dayKey.js";
+
+const LA = "America/Los_Angeles";
+const SYDNEY = "Australia/Sydney";
+const key = (iso, timeZone, boundaryMinutes) => dayKeyFor(new Date(iso), { timeZone, boundaryMinutes });
+
+// Walks minute by minute and returns the instants at which the key changed.
+function keyChanges(fromIso, hours, timeZone, boundaryMinutes) {
+  const changes = [];
+  let prev = key(fromIso, timeZone, boundaryMinutes);
+  for (let t = Date.parse(fromIso); t < Date.parse(fromIso) + hours * 3600000; t += 60000) {
+    const k = dayKeyFor(new Date(t), { timeZone, boundaryMinutes });
+    if (k !== prev) changes.push({ at: new Date(t).toISOString(), from: prev, to: k });
+    prev = k;
+  }
+  return changes;
+}
+
+test("Los Angeles spring-forward with a 04:00 boundary", () => {
+  // 2024-03-10 02:00 PST jumps to 03:00 PDT (10:00Z).
+  assert.equal(key("2024-03-10T09:30:00Z", LA, 240), "2024-03-09"); // 01:30 PST
+  assert.equal(key("2024-03-10T10:30:00Z", LA, 240), "2024-03-09"); // 03:30 PDT
+  assert.equal(key("2024-03-10T11:00:00Z", LA, 240), "2024-03-10"); // 04:00 PDT
+});
+
+test("Los Angeles spring-forward with a boundary inside the skipped hour", () => {
+  assert.equal(key("2024-03-10T09:59:00Z", LA, 150), "2024-03-09"); // 01:59 PST
+  assert.equal(key("2024-03-10T10:00:00Z", LA, 150), "2024-03-10"); // 03:00 PDT
+  assert.deepEqual(keyChanges("2024-03-10T06:00:00Z", 8, LA, 150), [
+    { at: "2024-03-10T10:00:00.000Z", from: "2024-03-09", to: "2024-03-10" },
+  ]);
+});
+
+test("Los Angeles fall-back with a 04:00 boundary", () => {
+  // 2024-11-03 02:00 PDT falls back to 01:00 PST (09:00Z).
+  assert.equal(key("2024-11-03T08:30:00Z", LA, 240), "2024-11-02"); // 01:30 PDT
+  assert.equal(key("2024-11-03T09:30:00Z", LA, 240), "2024-11-02"); // 01:30 PST
+  assert.equal(key("2024-11-03T12:00:00Z", LA, 240), "2024-11-03"); // 04:00 PST
+});
+
+test("Los Angeles fall-back never moves the key backwards", () => {
+  // With a 01:30 boundary the day starts at the first 01:30 (PDT) and the
+  // repeated hour does not hand it back to yesterday.
+  assert.deepEqual(keyChanges("2024-11-03T06:00:00Z", 8, LA, 90), [
+    { at: "2024-11-03T08:30:00.000Z", from: "2024-11-02", to: "2024-11-03" },
+  ]);
+  // 02:00 only exists once, after the repeated hour.
+  assert.deepEqual(keyChanges("2024-11-03T06:00:00Z", 8, LA, 120), [
+    { at: "2024-11-03T10:00:00.000Z", from: "2024-11-02", to: "2024-11-03" },
+  ]);
+});
+
+test("Sydney, where clocks go back in April and forward in October", () => {
+  // 2024-04-07 03:00 AEDT falls back to 02:00 AEST (16:00Z on the 6th).
+  assert.deepEqual(keyChanges("2024-04-06T10:00:00Z", 12, SYDNEY, 150), [
+    { at: "2024-04-06T15:30:00.000Z", from: "2024-04-06", to: "2024-04-07" },
+  ]);
+  // 2024-10-06 02:00 AEST jumps to 03:00 AEDT (16:00Z on the 5th).
+  assert.equal(key("2024-10-05T15:59:00Z", SYDNEY, 150), "2024-10-05"); // 01:59 AEST
+  assert.equal(key("2024-10-05T16:00:00Z", SYDNEY, 150), "2024-10-06"); // 03:00 AEDT
+  assert.equal(key("2024-10-05T17:30:00Z", SYDNEY, 300), "2024-10-05"); // 04:30 AEDT
+});
+
+test("a zero boundary is the plain local date", () => {
+  assert.equal(key("2024-01-01T07:59:00Z", LA, 0), "2023-12-31");
+  assert.equal(key("2024-01-01T08:00:00Z", LA, 0), "2024-01-01");
+  assert.equal(key("2024-01-01T12:59:00Z", SYDNEY, 0), "2024-01-01");
+  assert.equal(key("2024-01-01T13:00:00Z", SYDNEY, 0), "2024-01-02");
+});
+
+test("the day before a boundary wraps months and years", () => {
+  assert.equal(key("2024-03-01T09:00:00Z", LA, 240), "2024-02-29"); // 01:00 PST on Mar 1
+  assert.equal(key("2024-12-31T14:00:00Z", SYDNEY, 120), "2024-12-31"); // 01:00 AEDT on Jan 1
+});
+
+test("parseDayBoundary accepts hours and hours:minutes", () => {
+  assert.equal(parseDayBoundary("4"), 240);
+  assert.equal(parseDayBoundary("04:00"), 240);
+  assert.equal(parseDayBoundary(" 23:59 "), 1439);
+  assert.equal(parseDayBoundary("0"), 0);
+  assert.equal(formatDayBoundary(parseDayBoundary("4:05")), "04:05");
+});
+
+test("parseDayBoundary rejects anything else", () => {
+  for (const spec of ["", "24", "24:00", "4:60", "4:5", "-1", "4am", "04:00:00", "4.5", "abc", null, undefined]) {
+    assert.equal(parseDayBoundary(spec), null, String(spec));
+  }
+});
+
+test("time zones are validated", () => {
+  assert.equal(isValidTimeZone(LA), true);
+  assert.equal(isValidTimeZone("Mars/Olympus_Mons"), false);
+  assert.equal(isValidTimeZone(""), false);
+  assert.equal(isValidTimeZone(42), false);
+});
+
+test("localMinutes and addDays", () => {
+  assert.equal(localMinutes(new Date("2024-11-03T09:30:00Z"), LA), 90);
+  assert.equal(addDays("2024-02-28", 1), "2024-02-29");
+  assert.equal(addDays("2024-01-01", -1), "2023-12-31");
+});
@@ -0,0 +1,133 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createJobQueue } from "../lib/jobQueue.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-"));
+let files = 0;
+const tmpFile = () => path.join(dir, `jobs-${++files}.json`);
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test("one user's jobs run in the order they were queued, one at a time", async () => {
+  const seen = [];
+  let running = 0;
+  const queue = createJobQueue({
+    file: tmpFile(),
+    concurrency: 4,
+    run: async (job) => {
+      running += 1;
+      assert.equal(running, 1, "two jobs of one user ran at once");
+      seen.push(job.payload.n);
+      await tick();
+      running -= 1;
+    },
+  });
+  for (let n = 1; n <= 4; n++) queue.enqueue("u1", "reflect", { n });
+  await queue.idle();
+  assert.deepEqual(seen, [1, 2, 3, 4]);
+  assert.deepEqual(queue.stats(), { queued: 0, running: 0, failed: 0 });
+});
+
+test("different users run side by side", async () => {
+  let running = 0;
+  let peak = 0;
+  const queue = createJobQueue({
+    file: tmpFile(),
+    concurrency: 2,
+    run: async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await tick();
+      running -= 1;
+    },
+  });
+  queue.enqueue("u1", "reflect");
+  queue.enqueue("u2", "reflect");
+  await queue.idle();
+  assert.equal(peak, 2);
+});
+
+test("a failed run is retried with backoff and holds up the user's later jobs", async () => {
+  const seen = [];
+  const queue = createJobQueue({
+    file: tmpFile(),
+    retryBaseMs: 60 * 1000,
+    run: async (job) => {
+      seen.push(job.type);
+      if (job.type === "flaky") throw new Error("provider down");
+    },
+  });
+  const before = Date.now();
+  queue.enqueue("u1", "flaky");
+  queue.enqueue("u1", "after");
+  await queue.idle();
+
+  assert.deepEqual(seen, ["flaky"]);
+  const [flaky, next] = queue.list({ userId: "u1" });
+  assert.equal(flaky.status, "queued");
+  assert.equal(flaky.attempts, 1);
+  assert.equal(flaky.lastError, "provider down");
+  assert.ok(flaky.runAt >= before + 60 * 1000);
+  assert.equal(next.status, "queued");
+});
+
+test("a job fails for good after maxAttempts and can be retried by id", async () => {
+  let fail = true;
+  const queue = createJobQueue({
+    file: tmpFile(),
+    maxAttempts: 3,
+    retryBaseMs: 0,
+    run: async () => {
+      if (fail) throw new Error("bad output");
+    },
+  });
+  queue.enqueue("u1", "reflect");
+  await queue.idle();
+
+  const [failed] = queue.list({ status: "failed" });
+  assert.equal(failed.attempts, 3);
+  assert.ok(failed.failedAt);
+
+  fail = false;
+  assert.equal(queue.retry(failed.id).status, "queued");
+  await queue.idle();
+  assert.deepEqual(queue.list(), []);
+  assert.equal(queue.retry(failed.id), null);
+});
+
+test("a job left running by a crash counts that run as an attempt", async () => {
+  const file = tmpFile();
+  const now = Date.now();
+  const job = (id, attempts) => ({ id, userId: "u1", type: "reflect", payload: {}, status: "running", attempts, createdAt: now, runAt: now });
+  fs.writeFileSync(file, JSON.stringify({ jobs: [job("a", 0), job("b", 1)] }));
+
+  const ran = [];
+  const queue = createJobQueue({ file, maxAttempts: 2, run: async (j) => ran.push(j.id) });
+  assert.deepEqual(
+    queue.list().map((j) => [j.id, j.status, j.attempts, j.lastError]),
+    [
+      ["a", "queued", 1, "interrupted by restart"],
+      ["b", "failed", 2, "interrupted by restart"],
+    ]
+  );
+
+  queue.start();
+  await queue.idle();
+  assert.deepEqual(ran, ["a"]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).jobs.map((j) => j.id), ["b"]);
+});
+
+test("dedupe skips a queued job with the same payload only", async () => {
+  const queue = createJobQueue({ file: tmpFile(), run: async () => {} });
+  assert.ok(queue.enqueue("u1", "reflect", { day: "2026-10-18" }, { dedupe: true }));
+  assert.equal(queue.enqueue("u1", "reflect", { day: "2026-10-18" }, { dedupe: true }), null);
+  assert.ok(queue.enqueue("u1", "reflect", { day: "2026-10-19" }, { dedupe: true }));
+  assert.ok(queue.enqueue("u2", "reflect", { day: "2026-10-18" }, { dedupe: true }));
+  assert.equal(queue.removeUser("u1"), 2);
+  assert.equal(queue.list().length, 1);
+  await queue.idle();
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { moodTrends, summarizeMood, weekKeyFor } from "../lib/mood.js";
+
+let clock = 0;
+const entry = (dayKey, emotion, intensity = 1) => ({ at: ++clock, dayKey, emotion, intensity });
+
+const entries = [
+  entry("2026-10-12", "sad", 3),
+  entry("2026-10-13", "sad", 2),
+  entry("2026-10-13", "neutral"),
+  entry("2026-10-15", "joyful", 2),
+  entry("2026-10-16", "calm"),
+  entry("2026-10-17", "calm"),
+  entry("2026-10-17", "stressed"),
+];
+
+test("weeks start on Monday", () => {
+  assert.equal(weekKeyFor("2026-10-19"), "2026-10-19");
+  assert.equal(weekKeyFor("2026-10-18"), "2026-10-12");
+  assert.equal(weekKeyFor("2026-01-01"), "2025-12-29");
+});
+
+test("days are averaged by intensity-weighted valence", () => {
+  const { daily, weekly, overall } = summarizeMood(entries, { sinceDay: "2026-10-01" });
+  assert.deepEqual(
+    daily.map((d) => [d.day, d.dominant, d.valence, d.mood]),
+    [
+      ["2026-10-12", "sad", -0.8, "low"],
+      ["2026-10-13", "sad", -0.53, "low"],
+      ["2026-10-15", "joyful", 1, "good"],
+      ["2026-10-16", "calm", 0.5, "good"],
+      ["2026-10-17", "calm", -0.05, "steady"],
+    ]
+  );
+  assert.equal(daily[1].averageIntensity, 1.5);
+  assert.deepEqual(
+    weekly.map((w) => [w.week, w.days, w.messages]),
+    [["2026-10-12", 5, 7]]
+  );
+  assert.equal(overall.dominant, "sad");
+  assert.equal(summarizeMood(entries, { sinceDay: "2026-10-16" }).daily.length, 2);
+});
+
+test("streaks need consecutive days and shifts need a real change", () => {
+  const { streaks, shifts } = summarizeMood(entries, { today: "2026-10-19" });
+  assert.deepEqual(streaks.longestLow, { mood: "low", from: "2026-10-12", to: "2026-10-13", days: 2 });
+  assert.deepEqual(streaks.longestGood, { mood: "good", from: "2026-10-15", to: "2026-10-16", days: 2 });
+  assert.equal(streaks.current, null);
+  assert.deepEqual(
+    shifts.map((s) => [s.day, s.direction, s.delta]),
+    [
+      ["2026-10-15", "up", 1.53],
+      ["2026-10-17", "down", -0.55],
+    ]
+  );
+
+  const running = summarizeMood(entries.slice(0, 5), { today: "2026-10-17" }).streaks.current;
+  assert.deepEqual(running, { mood: "good", from: "2026-10-15", to: "2026-10-16", days: 2 });
+});
+
+test("trends compare the last week with the one before and attach notes to shifts", () => {
+  const earlier = [entry("2026-10-04", "anxious", 2), entry("2026-10-05", "lonely")];
+  const summary = summarizeMood([...earlier, ...entries], { today: "2026-10-17" });
+  const trends = moodTrends(summary, { today: "2026-10-17", notesByDay: { "2026-10-15": "Went climbing with Ana." } });
+
+  assert.equal(trends.daysTracked, 7);
+  assert.equal(trends.weekBeforeValence, -0.75);
+  assert.equal(trends.lastWeekValence, 0.02);
+  assert.equal(trends.direction, "improving");
+  assert.deepEqual(trends.topEmotions[0], { emotion: "sad", messages: 2 });
+  assert.ok(!trends.topEmotions.some((e) => e.emotion === "neutral"));
+  assert.deepEqual(trends.improvedOn, [{ day: "2026-10-15", from: "sad", to: "joyful", direction: "up", note: "Went climbing with Ana." }]);
+  assert.equal(trends.worsenedOn[0].day, "2026-10-17");
+  assert.equal(moodTrends(summarizeMood([])), null);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { classifySentence, createReplyPipeline, parseReplyStages, REPLY_STAGES } from "../lib/replyPipeline.js";
+import { createLeakDetector } from "../lib/integrity.js";
+
+const fixtures = JSON.parse(fs.readFileSync(new URL("./fixtures/replies.json", import.meta.url), "utf8"));
+
+const persona = { banned: [{ pattern: /\bI['’]m an AI assistant\b/gi, rewrite: "I’m Zara" }] };
+const guard = createLeakDetector(["You are Zara, a warm companion who never gives medical advice and always stays gentle."]);
+const ctx = { persona, guard, allowQuestion: false };
+
+function streamed(pipeline, text, chunkSize) {
+  const stream = pipeline.stream(ctx);
+  let out = "";
+  for (let i = 0; i < text.length; i += chunkSize) out += stream.push(text.slice(i, i + chunkSize));
+  return out + stream.flush();
+}
+
+test("sentences are classified by their ending before their first word", () => {
+  for (const [text, kind] of fixtures.sentences) assert.equal(classifySentence(text), kind, text);
+});
+
+test("banned reports the rewrites it applied", () => {
+  const stage = REPLY_STAGES.banned();
+  assert.deepEqual(stage.apply("I'm an AI assistant, but I care.", ctx), {
+    text: "I’m Zara, but I care.",
+    change: { rewrites: ["I’m Zara"] },
+  });
+  assert.deepEqual(stage.apply("I care.", ctx), { text: "I care.", change: null });
+});
+
+test("questions reports the sentences it dropped", () => {
+  const strict = REPLY_STAGES.questions("strict");
+  const lenient = REPLY_STAGES.questions("lenient");
+  const text = "That is hard. How are you? Tell me more.";
+  assert.deepEqual(strict.apply(text, ctx), { text: "That is hard.", change: { dropped: ["How are you?", "Tell me more."] } });
+  assert.deepEqual(lenient.apply(text, ctx), { text: "That is hard. Tell me more.", change: { dropped: ["How are you?"] } });
+  assert.deepEqual(strict.apply(text, { ...ctx, allowQuestion: true }), { text, change: null });
+});
+
+test("leaks reports what leaked", () => {
+  const stage = REPLY_STAGES.leaks();
+  assert.deepEqual(stage.apply("Rest now. USER MEMORY says so.", ctx), { text: "Rest now.", change: { leaks: ["header"] } });
+  assert.deepEqual(stage.apply("Rest now.", ctx), { text: "Rest now.", change: null });
+  assert.deepEqual(stage.apply("Rest now. USER MEMORY says so.", { ...ctx, guard: null }).change, null);
+});
+
+test("run lists changes in stage order with their retry notes", () => {
+  const pipeline = createReplyPipeline({ stages: parseReplyStages() });
+  const result = pipeline.run("I'm an AI assistant, but I care about you a lot. How are you feeling?", ctx);
+  assert.equal(result.text, "I’m Zara, but I care about you a lot.");
+  assert.deepEqual(
+    result.changes.map((c) => c.stage),
+    ["banned", "questions"]
+  );
+  assert.deepEqual(result.retryNotes, [REPLY_STAGES.banned().retryNote, REPLY_STAGES.questions().retryNote]);
+});
+
+test("run is degraded when less than minKeepRatio of the reply is left", () => {
+  const text = "You did well today. How did it go? Did it help at all?";
+  const loose = createReplyPipeline({ stages: parseReplyStages(), minKeepRatio: 0.3 }).run(text, ctx);
+  assert.equal(loose.text, "You did well today.");
+  assert.equal(loose.degraded, false);
+  assert.equal(loose.retry, false);
+
+  const tight = createReplyPipeline({ stages: parseReplyStages(), minKeepRatio: 0.5 }).run(text, ctx);
+  assert.equal(tight.degraded, true);
+  assert.equal(tight.retry, true);
+
+  const emptied = createReplyPipeline({ stages: parseReplyStages() }).run("How did it go?", ctx);
+  assert.equal(emptied.text, "");
+  assert.equal(emptied.degraded, true);
+});
+
+test("a leak always asks for a retry even when little was removed", () => {
+  const result = createReplyPipeline({ stages: parseReplyStages() }).run("That makes sense [sure]. You carried a lot today.", ctx);
+  assert.equal(result.degraded, false);
+  assert.equal(result.retry, true);
+  assert.deepEqual(result.changes, [{ stage: "leaks", leaks: ["memory_tag"] }]);
+});
+
+test("an empty reply is neither degraded nor retried", () => {
+  const result = createReplyPipeline({ stages: parseReplyStages() }).run("", ctx);
+  assert.equal(result.degraded, false);
+  assert.equal(result.retry, false);
+});
+
+test("stream output matches run for any chunking", () => {
+  for (const spec of ["banned,questions=strict,leaks", "questions=lenient", "banned,leaks"]) {
+    const pipeline = createReplyPipeline({ stages: parseReplyStages(spec) });
+    for (const text of fixtures.replies) {
+      const expected = pipeline.run(text, ctx).text;
+      for (const size of [1, 3, 7, text.length]) {
+        assert.equal(streamed(pipeline, text, size), expected, `${spec} / ${size}: ${JSON.stringify(text)}`);
+      }
+    }
+  }
+});
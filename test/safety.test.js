@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { classifyRiskLocally, combineRisk, createSafetyResources } from "../lib/safety.js";
+
+const fixtures = JSON.parse(fs.readFileSync(new URL("./fixtures/safety.json", import.meta.url), "utf8"));
+
+test("crisis phrasings are flagged with their signal", () => {
+  for (const [text, risk, signal] of fixtures.crisis) {
+    const result = classifyRiskLocally(text);
+    assert.equal(result.risk, risk, text);
+    assert.ok(result.signals.includes(signal), `expected ${signal} for "${text}"`);
+  }
+});
+
+test("everyday idioms are not flagged", () => {
+  for (const text of fixtures.idioms) {
+    assert.deepEqual(classifyRiskLocally(text), { risk: "none", signals: [] }, text);
+  }
+});
+
+test("an idiom does not hide a real signal in the same message", () => {
+  assert.equal(classifyRiskLocally("this traffic is killing me and I want to kill myself").risk, "high");
+});
+
+test("combineRisk never downgrades local high risk", () => {
+  assert.equal(combineRisk("high", "none"), "high");
+  assert.equal(combineRisk("high", "low"), "high");
+});
+
+test("combineRisk otherwise takes the higher opinion", () => {
+  assert.equal(combineRisk("none", "medium"), "medium");
+  assert.equal(combineRisk("medium", "low"), "medium");
+  assert.equal(combineRisk("low", "high"), "high");
+  assert.equal(combineRisk("none", "none"), "none");
+  assert.equal(combineRisk("low", "unknown"), "low");
+});
+
+test("resources resolve the exact locale, case-insensitively", () => {
+  const resources = createSafetyResources();
+  assert.equal(resources.forLocale("en-GB").locale, "en-GB");
+  assert.equal(resources.forLocale("EN-au").emergency, "000");
+});
+
+test("resources fall back by region, then language, then default", () => {
+  const resources = createSafetyResources();
+  assert.equal(resources.forLocale("fr-CA").locale, "en-CA");
+  assert.equal(resources.forLocale("en_GB").locale, "en-GB");
+  assert.equal(resources.forLocale("en").locale, "en-US");
+  assert.equal(resources.forLocale("").locale, "en-US");
+  assert.equal(resources.forLocale("de-DE").locale, "default");
+  assert.equal(resources.forLocale("de").locale, "default");
+});
+
+test("the default locale can be changed", () => {
+  const resources = createSafetyResources({ defaultLocale: "en-GB" });
+  assert.equal(resources.forLocale("").locale, "en-GB");
+  assert.equal(resources.forLocale("en").locale, "en-GB");
+});
+
+test("a resources file adds and replaces locales", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "safety-"));
+  const file = path.join(dir, "resources.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      "de-DE": { emergency: "112", resources: [{ name: "Telefonseelsorge", contact: "call 0800 111 0 111" }] },
+      "en-GB": { emergency: "999", resources: [{ name: "Local line", contact: "call 123" }] },
+    })
+  );
+  try {
+    const resources = createSafetyResources({ file });
+    const de = resources.forLocale("de-DE");
+    assert.equal(de.emergency, "112");
+    assert.match(de.text, /Telefonseelsorge: call 0800 111 0 111/);
+    assert.deepEqual(resources.forLocale("en-GB").resources, [{ name: "Local line", contact: "call 123" }]);
+    assert.equal(resources.forLocale("en-US").emergency, "911");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("an unreadable resources file keeps the built-in hotlines", () => {
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const resources = createSafetyResources({ file: path.join(os.tmpdir(), "no-such-safety-file.json") });
+    assert.equal(resources.forLocale("en-US").emergency, "911");
+  } finally {
+    console.error = original;
+  }
+});
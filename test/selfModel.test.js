@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { appendRevision, expandRevisions, mergeSelfModel } from "../lib/selfModel.js";
+
+const DAY = 86400000;
+const now = Date.UTC(2026, 9, 19);
+const trait = (model, name) => model.traits.find((t) => t.name === name)?.confidence;
+
+test("a new trait is capped until it comes back", () => {
+  const model = mergeSelfModel({}, { traits: [{ name: "night owl", confidence: 0.9 }] }, { now });
+  assert.equal(trait(model, "night owl"), 0.6);
+});
+
+test("a repeated trait is reinforced and a lower rating pulls it halfway down", () => {
+  const model = { traits: [{ name: "night owl", confidence: 0.6 }, { name: "tea drinker", confidence: 0.6 }], updatedAt: now };
+  const merged = mergeSelfModel(
+    model,
+    { traits: [{ name: "Night owl!", confidence: 0.8 }, { name: "tea drinker", confidence: 0.2 }] },
+    { now }
+  );
+  assert.equal(trait(merged, "night owl"), 0.74);
+  assert.equal(trait(merged, "tea drinker"), 0.4);
+  assert.equal(merged.traits.find((t) => t.name === "night owl").seen, 2);
+});
+
+test("confidence halves every half-life and fades out below 0.2", () => {
+  const model = {
+    traits: [{ name: "night owl", confidence: 0.8 }],
+    evidence: { doMore: [{ text: "walks", score: 0.8, seen: 3, lastSeen: now }] },
+    updatedAt: now - 30 * DAY,
+  };
+  const month = mergeSelfModel(model, {}, { now });
+  assert.equal(trait(month, "night owl"), 0.4);
+  assert.deepEqual(month.doMore, ["walks"]);
+  assert.equal(month.decayedAt, now);
+
+  // Decay runs from the last merge, not from updatedAt again.
+  assert.equal(trait(mergeSelfModel(month, {}, { now }), "night owl"), 0.4);
+
+  const gone = mergeSelfModel(model, {}, { now: now + 60 * DAY });
+  assert.deepEqual(gone.traits, []);
+  assert.deepEqual(gone.doMore, []);
+});
+
+test("list items are scored, older plain lists included", () => {
+  const model = { doMore: ["walks"], updatedAt: now };
+  const merged = mergeSelfModel(model, { doMore: ["Walks", "journaling"] }, { now });
+  assert.deepEqual(merged.doMore, ["walks", "journaling"]);
+  assert.deepEqual(
+    merged.evidence.doMore.map((e) => [e.text, e.score, e.seen]),
+    [
+      ["walks", 0.68, 2],
+      ["journaling", 0.5, 1],
+    ]
+  );
+});
+
+test("revisions keep a full oldest snapshot and expand back to every snapshot", () => {
+  const snaps = [{ traits: ["a"], doMore: ["x"] }, { traits: ["a", "b"], doMore: ["x"] }, { traits: ["b"] }, { traits: ["c"] }];
+  const list = [];
+  snaps.forEach((s, i) => assert.equal(appendRevision(list, s, { source: "daily" }, { max: 10 }).rev, i + 1));
+  assert.ok(list[0].snapshot);
+  assert.ok(list.slice(1).every((r) => r.changes && !r.snapshot));
+  assert.deepEqual(list[2].changes, { traits: ["b"], doMore: null });
+  assert.deepEqual(
+    expandRevisions(list).map((r) => r.snapshot),
+    snaps
+  );
+});
+
+test("an unchanged snapshot is not recorded again", () => {
+  const list = [];
+  assert.equal(appendRevision(list, { traits: [] }, {}, { max: 5, empty: { traits: [] } }), null);
+  appendRevision(list, { traits: ["a"] }, {}, { max: 5 });
+  assert.equal(appendRevision(list, { traits: ["a"] }, {}, { max: 5 }), null);
+  assert.equal(list.length, 1);
+});
+
+test("the cap drops the oldest revisions and rebases the next one", () => {
+  const list = [];
+  for (let n = 1; n <= 5; n++) appendRevision(list, { traits: [`t${n}`] }, { note: n }, { max: 3 });
+  assert.deepEqual(
+    list.map((r) => [r.rev, r.note, Boolean(r.snapshot)]),
+    [
+      [3, 3, true],
+      [4, 4, false],
+      [5, 5, false],
+    ]
+  );
+  assert.deepEqual(
+    expandRevisions(list).map((r) => r.snapshot.traits),
+    [["t3"], ["t4"], ["t5"]]
+  );
+});
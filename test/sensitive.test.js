@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { detectSensitive, createSensitiveFilter, parseSensitivePolicy } from "../lib/sensitive.js";
+
+const fixtures = JSON.parse(fs.readFileSync(new URL("./fixtures/sensitive.json", import.meta.url), "utf8"));
+
+const matchesOf = (text, type) =>
+  detectSensitive(text)
+    .filter((f) => f.type === type)
+    .map((f) => text.slice(f.start, f.end));
+
+for (const [detector, { type, positive, negative }] of Object.entries(fixtures)) {
+  test(`${detector}: finds the sensitive span`, () => {
+    for (const [text, span] of positive) {
+      assert.ok(matchesOf(text, type).includes(span), `expected ${type} "${span}" in "${text}"`);
+    }
+  });
+
+  test(`${detector}: leaves ordinary text alone`, () => {
+    for (const text of negative) {
+      assert.deepEqual(matchesOf(text, type), [], `unexpected ${type} in "${text}"`);
+    }
+  });
+}
+
+test("card numbers must pass the Luhn check", () => {
+  assert.equal(matchesOf("4111 1111 1111 1111", "card").length, 1);
+  assert.equal(matchesOf("4111 1111 1111 1112", "card").length, 0);
+});
+
+test("policy allow keeps the text as it is", () => {
+  const filter = createSensitiveFilter(parseSensitivePolicy("email=allow"));
+  assert.deepEqual(filter.check("write to jane.doe@example.org"), {
+    action: "allow",
+    text: "write to jane.doe@example.org",
+    types: [],
+  });
+});
+
+test("policy redact masks the span", () => {
+  const filter = createSensitiveFilter();
+  assert.deepEqual(filter.check("write to jane.doe@example.org"), {
+    action: "redact",
+    text: "write to [email address]",
+    types: ["email"],
+  });
+});
+
+test("policy refuse drops the whole text", () => {
+  const filter = createSensitiveFilter();
+  assert.deepEqual(filter.check("my card is 4111 1111 1111 1111, mail jane.doe@example.org"), {
+    action: "refuse",
+    text: "",
+    types: ["card", "email"],
+  });
+});
+
+test("scrub masks history but never health details", () => {
+  const filter = createSensitiveFilter();
+  const { text, count } = filter.scrub("I was diagnosed last week, call +1 415 555 0132");
+  assert.equal(text, "I was diagnosed last week, call [phone number]");
+  assert.equal(count, 1);
+});
+
+test("unknown policy entries fall back to the defaults", () => {
+  const errors = [];
+  const original = console.error;
+  console.error = (msg) => errors.push(msg);
+  try {
+    const policy = parseSensitivePolicy("phone=allow,fax=redact,email=shred");
+    assert.equal(policy.phone, "allow");
+    assert.equal(policy.email, "redact");
+    assert.equal("fax" in policy, false);
+  } finally {
+    console.error = original;
+  }
+  assert.equal(errors.length, 2);
+});
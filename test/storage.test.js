@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createJsonStorage, createUserLocks, userFileName, userIdFromFileName } from "../lib/storage.js";
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test("the user lock runs one user's writes one after another", async () => {
+  const withUserLock = createUserLocks();
+  const log = [];
+  const write = (n) =>
+    withUserLock("u1", async () => {
+      log.push(`start ${n}`);
+      await tick();
+      log.push(`end ${n}`);
+      return n;
+    });
+  assert.deepEqual(await Promise.all([write(1), write(2), write(3)]), [1, 2, 3]);
+  assert.deepEqual(log, ["start 1", "end 1", "start 2", "end 2", "start 3", "end 3"]);
+});
+
+test("the user lock does not hold up other users", async () => {
+  const withUserLock = createUserLocks();
+  const log = [];
+  let release;
+  const slow = withUserLock("u1", () => new Promise((resolve) => (release = resolve)));
+  await withUserLock("u2", async () => log.push("u2"));
+  log.push("u1 still held");
+  release();
+  await slow;
+  assert.deepEqual(log, ["u2", "u1 still held"]);
+});
+
+test("a write that throws releases the lock", async () => {
+  const withUserLock = createUserLocks();
+  await assert.rejects(
+    withUserLock("u1", async () => {
+      throw new Error("disk full");
+    }),
+    /disk full/
+  );
+  assert.equal(await withUserLock("u1", async () => "next"), "next");
+});
+
+test("json storage round-trips users and lists their ids", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+  try {
+    const storage = createJsonStorage({ dataDir: dir });
+    const ids = ["user:a@b.co", "anon:x/y+z"];
+    for (const id of ids) storage.save(id, { id, memories: [] });
+    assert.deepEqual(storage.load(ids[1]), { id: ids[1], memories: [] });
+    assert.deepEqual(storage.listIds().sort(), [...ids].sort());
+    assert.equal(storage.remove(ids[0]), true);
+    assert.equal(storage.remove(ids[0]), false);
+    assert.equal(storage.load(ids[0]), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("file names decode back to the id they were made from", () => {
+  const ids = ["anon:0123456789abcdef0123456789abcdef", "account:fedcba9876543210fedcba9876543210", "user:a@b.co", "anon:?>?~", "a"];
+  for (const id of ids) assert.equal(userIdFromFileName(userFileName(id)), id);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStructuredChat, StructuredOutputError, stripFences, validateSchema } from "../lib/structured.js";
+
+const schema = {
+  type: "object",
+  required: ["mood", "items"],
+  properties: {
+    mood: { type: "string", enum: ["calm", "tense"] },
+    intensity: { type: "number", minimum: 0, maximum: 1 },
+    items: { type: "array", maxItems: 2, items: { type: "string" } },
+  },
+};
+
+test("fences and surrounding prose are stripped", () => {
+  assert.equal(stripFences('```json\n{"a":1}\n```'), '{"a":1}');
+  assert.equal(stripFences('Sure! Here it is: {"a":{"b":2}} Hope that helps.'), '{"a":{"b":2}}');
+  assert.equal(stripFences("[1,2]"), "[1,2]");
+});
+
+test("schema errors name the path that is wrong", () => {
+  assert.deepEqual(validateSchema({ mood: "calm", items: ["a"], intensity: 0.5 }, schema), []);
+  assert.deepEqual(validateSchema({ mood: "calm", items: [], intensity: null }, schema), []);
+  assert.deepEqual(validateSchema({ mood: "angry", items: ["a", 2, "c"], intensity: 3 }, schema), [
+    "$.mood should be one of calm, tense",
+    "$.intensity should be <= 1",
+    "$.items has more than 2 items",
+    "$.items[1] should be string, got integer",
+  ]);
+  assert.deepEqual(validateSchema([], schema), ["$ should be object, got array"]);
+  assert.deepEqual(validateSchema({}, schema), ["$.mood is required", "$.items is required"]);
+});
+
+function scriptedChat(replies) {
+  const calls = [];
+  const chat = async (req) => {
+    calls.push(req);
+    return replies[calls.length - 1];
+  };
+  return { chat, calls };
+}
+
+test("a rejected reply is retried with the reply and the error fed back", async () => {
+  const { chat, calls } = scriptedChat(['{"mood":"angry","items":[]}', '```json\n{"mood":"tense","items":["work"]}\n```']);
+  const structured = createStructuredChat({ chat, responseFormat: "json_object" });
+  const messages = [{ role: "user", content: "How was today?" }];
+
+  assert.deepEqual(await structured.chatJson({ task: "mood", schema, messages, temperature: 0 }), { mood: "tense", items: ["work"] });
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[0].messages, messages);
+  assert.deepEqual(calls[0].response_format, { type: "json_object" });
+  assert.equal(calls[1].temperature, 0);
+  assert.deepEqual(calls[1].messages.slice(0, 2), [...messages, { role: "assistant", content: '{"mood":"angry","items":[]}' }]);
+  assert.match(calls[1].messages[2].content, /rejected: \$\.mood should be one of calm, tense\./);
+  assert.deepEqual(structured.stats().mood, { ok: 0, retried: 1, failed: 0, lastError: null });
+});
+
+test("running out of attempts throws with the last error and raw reply", async () => {
+  const { chat, calls } = scriptedChat(["not json", "still not json", "{}"]);
+  const structured = createStructuredChat({ chat, responseFormat: "json_schema", maxAttempts: 3 });
+
+  const err = await structured.chatJson({ task: "reflect", schema, messages: [] }).catch((e) => e);
+  assert.ok(err instanceof StructuredOutputError);
+  assert.equal(err.task, "reflect");
+  assert.equal(err.raw, "{}");
+  assert.match(err.message, /^reflect: \$\.mood is required/);
+  assert.match(calls[2].messages[1].content, /not valid JSON/);
+  assert.equal(calls[0].response_format.json_schema.schema, schema);
+  assert.equal(structured.stats().reflect.failed, 1);
+});